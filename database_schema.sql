@@ -3,13 +3,41 @@
 -- ============================================
 
 -- 1. Admin Users Table
+-- role: owner | recruiter | hiring-manager | viewer (permissions are defined in server.js)
 CREATE TABLE IF NOT EXISTS admin_users (
   id SERIAL PRIMARY KEY,
   email TEXT UNIQUE NOT NULL,
   password_hash TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'viewer',
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
+-- Existing databases: admins created before roles existed keep full access
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'owner';
+ALTER TABLE admin_users ALTER COLUMN role SET DEFAULT 'viewer';
+
+-- Single sign-on: the OpenID Connect identity an admin is linked to
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS oidc_issuer TEXT;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS oidc_subject TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_admin_users_oidc_identity ON admin_users(oidc_issuer, oidc_subject);
+
+-- Two-factor authentication (TOTP secrets are AES-256-GCM encrypted by the server)
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ;
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'admin_users_role_check'
+  ) THEN
+    ALTER TABLE admin_users
+      ADD CONSTRAINT admin_users_role_check
+      CHECK (role IN ('owner', 'recruiter', 'hiring-manager', 'viewer'));
+  END IF;
+END $$;
+
 -- 2. Users Table (Candidates)
 CREATE TABLE IF NOT EXISTS users (
   id SERIAL PRIMARY KEY,
@@ -17,9 +45,19 @@ CREATE TABLE IF NOT EXISTS users (
   email TEXT UNIQUE NOT NULL,
   password_hash TEXT NOT NULL,
   phone TEXT,
+  verified_at TIMESTAMPTZ,
+  verification_sent_at TIMESTAMPTZ,
+  erased_at TIMESTAMPTZ,
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
+-- Existing databases: email verification state
+ALTER TABLE users ADD COLUMN IF NOT EXISTS verified_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS verification_sent_at TIMESTAMPTZ;
+
+-- Existing databases: right-to-erasure marker (erased users keep an anonymized row)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS erased_at TIMESTAMPTZ;
+
 -- 3. Clients Table
 CREATE TABLE IF NOT EXISTS clients (
   id SERIAL PRIMARY KEY,
@@ -29,6 +67,9 @@ CREATE TABLE IF NOT EXISTS clients (
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
+-- Job feeds use it to notice a changed company name
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
 -- 4. Jobs Table
 CREATE TABLE IF NOT EXISTS jobs (
   id SERIAL PRIMARY KEY,
@@ -44,9 +85,121 @@ CREATE TABLE IF NOT EXISTS jobs (
   location TEXT,
   job_type TEXT,
   category TEXT,
-  language TEXT
+  language TEXT,
+  required_skills TEXT[] DEFAULT ARRAY[]::TEXT[],
+  company TEXT,
+  publish_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ,
+  salary_min NUMERIC(12, 2) CHECK (salary_min >= 0),
+  salary_max NUMERIC(12, 2) CHECK (salary_max >= 0),
+  salary_currency CHAR(3),
+  salary_period TEXT CHECK (salary_period IN ('hourly', 'monthly', 'yearly')),
+  salary_visible BOOLEAN NOT NULL DEFAULT TRUE,
+  latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+  longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180),
+  is_remote BOOLEAN NOT NULL DEFAULT FALSE
 );
 
+-- Existing databases: columns the API already writes when present
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS required_skills TEXT[] DEFAULT ARRAY[]::TEXT[];
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS company TEXT;
+
+-- Scheduled publishing: status is 'Scheduled' until publish_at, then 'Open' until expires_at
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS publish_at TIMESTAMPTZ;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+
+-- Salary range: amounts are per salary_period in salary_currency (ISO 4217). salary_visible = FALSE
+-- keeps the salary out of public responses, feeds and JSON-LD; it is still stored for filtering by admins.
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS salary_min NUMERIC(12, 2) CHECK (salary_min >= 0);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS salary_max NUMERIC(12, 2) CHECK (salary_max >= 0);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS salary_currency CHAR(3);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS salary_period TEXT CHECK (salary_period IN ('hourly', 'monthly', 'yearly'));
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS salary_visible BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- Geo search: coordinates are resolved from location by the configured geocoder (existing jobs:
+-- POST /api/admin/jobs/geocode). Remote work is the is_remote flag, not a location string.
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180);
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS is_remote BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Job lifecycle: status used to be free text ('open', 'OPEN', ...). Existing rows are normalized to
+-- the statuses the API knows, ignoring case, spaces, _ and -; unrecognized values become Draft so
+-- they leave the public site until someone reviews them.
+UPDATE jobs SET status = CASE lower(regexp_replace(status, '[\s_-]+', '', 'g'))
+    WHEN 'draft' THEN 'Draft'
+    WHEN 'pendingapproval' THEN 'Pending Approval'
+    WHEN 'pending' THEN 'Pending Approval'
+    WHEN 'scheduled' THEN 'Scheduled'
+    WHEN 'open' THEN 'Open'
+    WHEN 'active' THEN 'Open'
+    WHEN 'published' THEN 'Open'
+    WHEN 'paused' THEN 'Paused'
+    WHEN 'onhold' THEN 'Paused'
+    WHEN 'closed' THEN 'Closed'
+    WHEN 'expired' THEN 'Closed'
+    WHEN 'filled' THEN 'Filled'
+    WHEN 'archived' THEN 'Archived'
+    ELSE 'Draft'
+  END
+WHERE status NOT IN ('Draft', 'Pending Approval', 'Scheduled', 'Open', 'Paused', 'Closed', 'Filled', 'Archived');
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'jobs_status_check'
+  ) THEN
+    ALTER TABLE jobs
+      ADD CONSTRAINT jobs_status_check
+      CHECK (status IN ('Draft', 'Pending Approval', 'Scheduled', 'Open', 'Paused', 'Closed', 'Filled', 'Archived'));
+  END IF;
+END $$;
+
+-- Full-text search. jobs.language (ISO code such as 'de' or 'de-DE', or an English name)
+-- selects the stemming configuration; unknown languages are indexed without stemming.
+CREATE OR REPLACE FUNCTION job_search_config(lang TEXT) RETURNS regconfig AS $$
+DECLARE
+  code TEXT := split_part(replace(lower(trim(coalesce(lang, ''))), '_', '-'), '-', 1);
+BEGIN
+  RETURN (CASE
+    WHEN code IN ('', 'en', 'english') THEN 'english'
+    WHEN code IN ('de', 'german', 'deutsch') THEN 'german'
+    WHEN code IN ('fr', 'french') THEN 'french'
+    WHEN code IN ('es', 'spanish') THEN 'spanish'
+    WHEN code IN ('it', 'italian') THEN 'italian'
+    WHEN code IN ('nl', 'dutch') THEN 'dutch'
+    WHEN code IN ('pt', 'portuguese') THEN 'portuguese'
+    ELSE 'simple'
+  END)::regconfig;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- Weighted search document: title (A), skills (B), department (B), requirements (C), description (D)
+CREATE OR REPLACE FUNCTION job_search_document(
+  title TEXT, department TEXT, description TEXT, requirements TEXT[], required_skills TEXT[], lang TEXT
+) RETURNS tsvector AS $$
+DECLARE
+  cfg regconfig := job_search_config(lang);
+BEGIN
+  RETURN setweight(to_tsvector(cfg, coalesce(title, '')), 'A')
+    || setweight(to_tsvector(cfg, coalesce(array_to_string(required_skills, ' '), '')), 'B')
+    || setweight(to_tsvector(cfg, coalesce(department, '')), 'B')
+    || setweight(to_tsvector(cfg, coalesce(array_to_string(requirements, ' '), '')), 'C')
+    || setweight(to_tsvector(cfg, coalesce(description, '')), 'D');
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- A search query parsed with every configuration above, so jobs in any language can match
+CREATE OR REPLACE FUNCTION job_search_tsquery(query TEXT) RETURNS tsquery AS $$
+  SELECT to_tsquery('english', query)
+    || to_tsquery('german', query)
+    || to_tsquery('french', query)
+    || to_tsquery('spanish', query)
+    || to_tsquery('italian', query)
+    || to_tsquery('dutch', query)
+    || to_tsquery('portuguese', query)
+    || to_tsquery('simple', query);
+$$ LANGUAGE SQL IMMUTABLE;
+
 -- Add foreign key constraint for jobs.client_id
 DO $$
 BEGIN
@@ -112,6 +265,209 @@ CREATE TABLE IF NOT EXISTS applicants (
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 
+-- 7. Password Reset Tokens (admins and candidates)
+-- Only the SHA-256 hash of each emailed token is stored
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  account_type TEXT NOT NULL CHECK (account_type IN ('admin', 'user')),
+  account_id INTEGER NOT NULL,
+  token_hash TEXT UNIQUE NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- 8. Auth Sessions (one row per login; backs refresh tokens and revocation)
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id UUID PRIMARY KEY,
+  account_type TEXT NOT NULL CHECK (account_type IN ('admin', 'user')),
+  account_id INTEGER NOT NULL,
+  refresh_token_hash TEXT UNIQUE NOT NULL,
+  previous_refresh_token_hash TEXT,
+  user_agent TEXT,
+  ip_address TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ
+);
+
+-- 9. Admin Invites (admins are onboarded by invitation)
+CREATE TABLE IF NOT EXISTS admin_invites (
+  id SERIAL PRIMARY KEY,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'viewer',
+  token_hash TEXT UNIQUE NOT NULL,
+  invited_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_at TIMESTAMPTZ,
+  accepted_admin_id INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- 10. Login Attempts (brute-force protection; emails are stored lower-cased)
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id BIGSERIAL PRIMARY KEY,
+  account_type TEXT NOT NULL CHECK (account_type IN ('admin', 'user')),
+  email TEXT NOT NULL,
+  ip_address TEXT,
+  success BOOLEAN NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- 11. Account Lockouts (one row per account that has ever been locked or unlocked)
+CREATE TABLE IF NOT EXISTS account_lockouts (
+  account_type TEXT NOT NULL CHECK (account_type IN ('admin', 'user')),
+  email TEXT NOT NULL,
+  locked_until TIMESTAMPTZ NOT NULL,
+  failed_attempts INTEGER NOT NULL DEFAULT 0,
+  locked_at TIMESTAMPTZ,
+  unlocked_at TIMESTAMPTZ,
+  unlocked_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+  PRIMARY KEY (account_type, email)
+);
+
+-- 12. Admin 2FA Recovery Codes (hashed, single use)
+CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+  id SERIAL PRIMARY KEY,
+  admin_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- 13. User Profile Changes (audit trail of candidate contact details; password changes carry no values)
+CREATE TABLE IF NOT EXISTS user_profile_changes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  field TEXT NOT NULL,
+  old_value TEXT,
+  new_value TEXT,
+  changed_by_type TEXT NOT NULL CHECK (changed_by_type IN ('admin', 'user')),
+  changed_by_id INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- 14. Erasure Certificates (proof that a candidate's personal data was erased)
+-- email_hash is an HMAC-SHA-256 of the lower-cased email keyed with ERASURE_CERTIFICATE_KEY;
+-- signature is an HMAC over the certificate contents
+CREATE TABLE IF NOT EXISTS erasure_certificates (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  email_hash TEXT NOT NULL,
+  requested_by_type TEXT NOT NULL CHECK (requested_by_type IN ('admin', 'user')),
+  requested_by_id INTEGER,
+  reason TEXT,
+  summary JSONB NOT NULL,
+  signature TEXT NOT NULL,
+  erased_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- 15. API Keys (machine-to-machine access; only the SHA-256 hash of each key is stored)
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  key_prefix TEXT UNIQUE NOT NULL,
+  key_hash TEXT NOT NULL,
+  scopes TEXT[] NOT NULL,
+  created_by INTEGER REFERENCES admin_users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMPTZ,
+  last_used_at TIMESTAMPTZ,
+  last_used_ip TEXT,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- 16. OIDC Login States (single-use state, nonce and PKCE verifier of a pending SSO login)
+CREATE TABLE IF NOT EXISTS oidc_login_states (
+  state_hash TEXT PRIMARY KEY,
+  nonce TEXT NOT NULL,
+  code_verifier TEXT NOT NULL,
+  redirect_uri TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- 17. Job Revisions (immutable snapshot of a job after every create, update and restore)
+-- job_id has no foreign key so the history outlives a deleted job; snapshot holds the job's
+-- columns except id, created_at and updated_at. actor_type 'system' marks baseline revisions
+-- recorded for jobs that existed before revisions were kept.
+CREATE TABLE IF NOT EXISTS job_revisions (
+  id SERIAL PRIMARY KEY,
+  job_id INTEGER NOT NULL,
+  revision_number INTEGER NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('baseline', 'create', 'update', 'restore')),
+  snapshot JSONB NOT NULL,
+  changed_fields TEXT[] NOT NULL DEFAULT '{}',
+  actor_type TEXT NOT NULL CHECK (actor_type IN ('admin', 'api_key', 'system')),
+  actor_id INTEGER,
+  actor_label TEXT,
+  restored_from INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (job_id, revision_number)
+);
+
+CREATE OR REPLACE FUNCTION reject_job_revision_change() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'job revisions are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS job_revisions_immutable ON job_revisions;
+CREATE TRIGGER job_revisions_immutable
+  BEFORE UPDATE OR DELETE ON job_revisions
+  FOR EACH ROW EXECUTE FUNCTION reject_job_revision_change();
+
+-- 18. Job Templates (reusable job fields for roles that are posted again and again)
+-- fields holds job columns as normalized by POST /api/jobs, e.g. {"title": "Nurse", "required_skills": [...]}
+CREATE TABLE IF NOT EXISTS job_templates (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  description TEXT,
+  fields JSONB NOT NULL DEFAULT '{}',
+  created_by_type TEXT NOT NULL CHECK (created_by_type IN ('admin', 'api_key', 'system')),
+  created_by_id INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Lineage of jobs created from a template or cloned from another job
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS template_id INTEGER REFERENCES job_templates(id) ON DELETE SET NULL;
+ALTER TABLE jobs ADD COLUMN IF NOT EXISTS cloned_from_job_id INTEGER REFERENCES jobs(id) ON DELETE SET NULL;
+
+-- 19. Job Translations (title, description and requirements of a job in another language)
+-- language is an ISO 639-1 code; the job's own text stays in jobs, in its primary language jobs.language
+CREATE TABLE IF NOT EXISTS job_translations (
+  id SERIAL PRIMARY KEY,
+  job_id INTEGER NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+  language TEXT NOT NULL CHECK (language ~ '^[a-z]{2,3}$'),
+  title TEXT NOT NULL,
+  description TEXT,
+  requirements TEXT[] DEFAULT ARRAY[]::TEXT[],
+  source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'ai')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (job_id, language)
+);
+
+-- 20. Job Status Transitions (who moved a job from one status to another, when and why)
+-- action is a lifecycle action (submit, approve, ...), 'create' for the first status, 'update' for
+-- a change of publish_at through PUT /api/jobs/:id, or 'publish' / 'expire' by the scheduler
+-- (actor_type 'system'). Like job_revisions, the history outlives a deleted job.
+CREATE TABLE IF NOT EXISTS job_status_transitions (
+  id SERIAL PRIMARY KEY,
+  job_id INTEGER NOT NULL,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  action TEXT NOT NULL,
+  reason TEXT,
+  actor_type TEXT NOT NULL CHECK (actor_type IN ('admin', 'api_key', 'system')),
+  actor_id INTEGER,
+  actor_label TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
 -- ============================================
 -- Indexes for Performance
 -- ============================================
@@ -124,6 +480,39 @@ CREATE INDEX IF NOT EXISTS idx_applications_status ON applications(status);
 -- Jobs indexes
 CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
 CREATE INDEX IF NOT EXISTS idx_jobs_client_id ON jobs(client_id);
+CREATE INDEX IF NOT EXISTS idx_jobs_location ON jobs(location);
+CREATE INDEX IF NOT EXISTS idx_jobs_job_type ON jobs(job_type);
+CREATE INDEX IF NOT EXISTS idx_jobs_category ON jobs(category);
+CREATE INDEX IF NOT EXISTS idx_jobs_publish_at ON jobs(publish_at) WHERE status = 'Scheduled';
+CREATE INDEX IF NOT EXISTS idx_jobs_expires_at ON jobs(expires_at) WHERE expires_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_jobs_latitude ON jobs(latitude) WHERE latitude IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_jobs_template_id ON jobs(template_id) WHERE template_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_job_status_transitions_job_id ON job_status_transitions(job_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_search ON jobs
+  USING GIN (job_search_document(title, department, description, requirements, required_skills, language));
+
+-- Password reset indexes
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_account ON password_reset_tokens(account_type, account_id);
+
+-- Auth session indexes
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_account ON auth_sessions(account_type, account_id);
+
+-- Admin invite indexes
+CREATE INDEX IF NOT EXISTS idx_admin_invites_email ON admin_invites(email);
+
+-- Login attempt indexes
+CREATE INDEX IF NOT EXISTS idx_login_attempts_account ON login_attempts(account_type, email, created_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_address, created_at);
+
+-- Recovery code indexes
+CREATE INDEX IF NOT EXISTS idx_admin_recovery_codes_admin_id ON admin_recovery_codes(admin_id);
+
+-- Profile change indexes
+CREATE INDEX IF NOT EXISTS idx_user_profile_changes_user_id ON user_profile_changes(user_id, created_at);
+
+-- Erasure certificate indexes
+CREATE INDEX IF NOT EXISTS idx_erasure_certificates_user_id ON erasure_certificates(user_id);
+CREATE INDEX IF NOT EXISTS idx_erasure_certificates_email_hash ON erasure_certificates(email_hash);
 
 -- ============================================
 -- Seed Data (Optional)
@@ -131,8 +520,8 @@ CREATE INDEX IF NOT EXISTS idx_jobs_client_id ON jobs(client_id);
 
 -- Seed admin user (password: Password123!)
 -- Change the password_hash accordingly
-INSERT INTO admin_users (email, password_hash)
-VALUES ('admin@example.com', '$2a$10$8Z8m8s9wQ3mQfQO1Yd8g2eIxm5Sg7xQd8xO1U7jE1m2jL0GmTqv8i')
+INSERT INTO admin_users (email, password_hash, role)
+VALUES ('admin@example.com', '$2a$10$8Z8m8s9wQ3mQfQO1Yd8g2eIxm5Sg7xQd8xO1U7jE1m2jL0GmTqv8i', 'owner')
 ON CONFLICT (email) DO NOTHING;
 
 -- Seed sample user (password: Password123!)
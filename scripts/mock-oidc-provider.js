@@ -0,0 +1,132 @@
+// Local mock OpenID Connect provider for testing admin single sign-on.
+// It signs everyone in without a login form: the identity comes from the `login_hint`
+// query parameter of the authorization request, or MOCK_OIDC_EMAIL.
+//
+//   npm run mock-oidc
+//   OIDC_ISSUER=http://localhost:4010 OIDC_CLIENT_ID=jobspeedy-admin npm start
+
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = process.env.MOCK_OIDC_PORT || 4010;
+const ISSUER = (process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'jobspeedy-admin';
+const DEFAULT_EMAIL = process.env.MOCK_OIDC_EMAIL || 'recruiter@example.com';
+const CODE_TTL_MS = 60 * 1000;
+
+// A fresh signing key on every start; the API refetches the key set when the kid changes
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] };
+
+// Issued authorization codes: code -> { clientId, redirectUri, codeChallenge, nonce, email, expiresAt }
+const codes = new Map();
+
+const base64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const subjectFor = (email) => `mock|${crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 16)}`;
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+app.use(express.json());
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile'],
+    token_endpoint_auth_methods_supported: ['none', 'client_secret_post']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json(jwks);
+});
+
+app.get('/authorize', (req, res) => {
+  const { response_type, client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method } = req.query;
+
+  if (response_type !== 'code' || client_id !== CLIENT_ID || !redirect_uri) {
+    return res.status(400).json({ error: 'invalid_request' });
+  }
+  if (!code_challenge || code_challenge_method !== 'S256') {
+    return res.status(400).json({ error: 'invalid_request', error_description: 'PKCE with S256 is required' });
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    clientId: client_id,
+    redirectUri: redirect_uri,
+    codeChallenge: code_challenge,
+    nonce,
+    email: req.query.login_hint || DEFAULT_EMAIL,
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+
+  const target = new URL(redirect_uri);
+  target.searchParams.set('code', code);
+  if (state) target.searchParams.set('state', state);
+  res.redirect(target.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, client_id, code_verifier } = req.body;
+  const grant = codes.get(code);
+  codes.delete(code);
+
+  if (grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+  if (client_id !== grant.clientId || redirect_uri !== grant.redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'client_id or redirect_uri mismatch' });
+  }
+  const challenge = base64Url(crypto.createHash('sha256').update(String(code_verifier || '')).digest());
+  if (challenge !== grant.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const claims = {
+    sub: subjectFor(grant.email),
+    email: grant.email,
+    email_verified: true,
+    name: grant.email.split('@')[0]
+  };
+  if (grant.nonce) claims.nonce = grant.nonce;
+
+  const idToken = jwt.sign(claims, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: client_id,
+    expiresIn: '5m'
+  });
+  const accessToken = jwt.sign({ sub: claims.sub, email: claims.email }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    expiresIn: '5m'
+  });
+
+  res.json({ token_type: 'Bearer', access_token: accessToken, id_token: idToken, expires_in: 300 });
+});
+
+app.get('/userinfo', (req, res) => {
+  try {
+    const token = req.headers.authorization?.split(' ')[1];
+    const payload = jwt.verify(token, publicKey, { algorithms: ['RS256'], issuer: ISSUER });
+    res.json({ sub: payload.sub, email: payload.email, email_verified: true });
+  } catch (error) {
+    res.status(401).json({ error: 'invalid_token' });
+  }
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER} (client_id: ${CLIENT_ID})`);
+});
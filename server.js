@@ -5,6 +5,8 @@ const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
 const { v4: uuidv4 } = require('uuid');
 
 // Document parsers (PDF, DOC/DOCX)
@@ -37,16 +39,27 @@ try {
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+// Bulk job imports (POST /api/admin/jobs/import) may be larger than the default 100kb body limit
+const JOB_IMPORT_MAX_BYTES = 5 * 1024 * 1024;
 
 // Middleware
-app.use(express.json());
+// Bulk job imports parse their JSON body on the route, after authentication (see jobImportBody)
+const jsonBodyParser = express.json();
+app.use((req, res, next) => (req.path === '/api/admin/jobs/import' ? next() : jsonBodyParser(req, res, next)));
 app.use(express.urlencoded({ extended: true }));
 
 // CORS middleware
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
+  // SSO requests carry the login state cookie, which browsers only send to an explicitly allowed origin
+  if (req.path.startsWith('/api/admin/sso/') && req.headers.origin === new URL(APP_BASE_URL).origin) {
+    res.header('Access-Control-Allow-Origin', req.headers.origin);
+    res.header('Access-Control-Allow-Credentials', 'true');
+    res.vary('Origin');
+  } else {
+    res.header('Access-Control-Allow-Origin', '*');
+  }
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key');
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
   }
@@ -62,6 +75,108 @@ const pool = new Pool({
 // JWT Secret
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
+// Public URL of the frontend, used to build links sent by email
+const APP_BASE_URL = (process.env.APP_BASE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+// Public URL of this API server, used where a response names its own address (feed self links).
+// Defaults to APP_BASE_URL for deployments that serve the API under the frontend's host.
+const PUBLIC_API_URL = (process.env.PUBLIC_API_URL || APP_BASE_URL).replace(/\/+$/, '');
+
+// Password reset links expire after this many minutes
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// Candidate email verification: links are signed JWTs valid for EMAIL_VERIFICATION_TTL.
+// REQUIRE_VERIFIED_EMAIL_TO_APPLY=true blocks applications until the address is verified.
+const EMAIL_VERIFICATION_TTL = process.env.EMAIL_VERIFICATION_TTL || '24h';
+const REQUIRE_VERIFIED_EMAIL_TO_APPLY = process.env.REQUIRE_VERIFIED_EMAIL_TO_APPLY === 'true';
+const VERIFICATION_RESEND_INTERVAL_SECONDS = 60;
+
+// Brute-force protection for password logins. Attempts are tracked per account and per IP in
+// Postgres so every server instance sees the same state. After LOGIN_FREE_ATTEMPTS failures from
+// one IP each retry must wait exponentially longer; LOGIN_MAX_FAILED_ATTEMPTS failures block that
+// IP for the account, and LOGIN_ACCOUNT_LOCKOUT_ATTEMPTS failures from any IPs lock the account.
+const LOGIN_THROTTLE_WINDOW_MINUTES = parseInt(process.env.LOGIN_THROTTLE_WINDOW_MINUTES) || 15;
+const LOGIN_FREE_ATTEMPTS = 3;
+const LOGIN_MAX_DELAY_SECONDS = 60;
+const LOGIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 10;
+const LOGIN_ACCOUNT_LOCKOUT_ATTEMPTS = parseInt(process.env.LOGIN_ACCOUNT_LOCKOUT_ATTEMPTS) || LOGIN_MAX_FAILED_ATTEMPTS * 3;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 30;
+const LOGIN_MAX_FAILED_PER_IP = parseInt(process.env.LOGIN_MAX_FAILED_PER_IP) || 50;
+
+// Admin two-factor authentication (RFC 6238 TOTP). Optional per admin unless
+// ADMIN_2FA_REQUIRED=true, in which case admins must enrol at their next login.
+const ADMIN_2FA_REQUIRED = process.env.ADMIN_2FA_REQUIRED === 'true';
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'JobSpeedy AI';
+const TOTP_ENCRYPTION_KEY = process.env.TOTP_ENCRYPTION_KEY || JWT_SECRET;
+const MFA_CHALLENGE_TTL_SECONDS = 300;
+const RECOVERY_CODE_COUNT = 10;
+
+// Signs erasure certificates and keys the erased email hashes on them. Kept apart from JWT_SECRET so
+// rotating that secret does not invalidate stored certificates.
+const ERASURE_CERTIFICATE_KEY = process.env.ERASURE_CERTIFICATE_KEY || JWT_SECRET;
+
+// Admin accounts are created through invites. Open self-registration is off unless
+// ADMIN_SELF_REGISTRATION=true (the very first admin can always register).
+const ADMIN_SELF_REGISTRATION = process.env.ADMIN_SELF_REGISTRATION === 'true';
+const ADMIN_INVITE_TTL_HOURS = parseInt(process.env.ADMIN_INVITE_TTL_HOURS) || 72;
+
+// OpenID Connect single sign-on for admins (authorization code + PKCE). Enabled when OIDC_ISSUER
+// and OIDC_CLIENT_ID are set. OIDC_ALLOWED_DOMAINS (comma separated) limits which company emails
+// may sign in; unknown admins are provisioned with OIDC_DEFAULT_ROLE unless OIDC_AUTO_PROVISION=false.
+// OIDC_LINK_EXISTING_ADMINS=true links an identity to the admin with the same email, but only with
+// OIDC_ALLOWED_DOMAINS set. SSO logins still need the app's second factor unless OIDC_TRUST_IDP_MFA=true.
+const OIDC_ISSUER = (process.env.OIDC_ISSUER || '').replace(/\/+$/, '');
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID || '';
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || '';
+const OIDC_REDIRECT_URI = process.env.OIDC_REDIRECT_URI || `${APP_BASE_URL}/admin/sso/callback`;
+const OIDC_SCOPES = process.env.OIDC_SCOPES || 'openid email profile';
+const OIDC_ALLOWED_DOMAINS = (process.env.OIDC_ALLOWED_DOMAINS || '')
+  .split(',')
+  .map((domain) => domain.trim().toLowerCase())
+  .filter(Boolean);
+const OIDC_AUTO_PROVISION = process.env.OIDC_AUTO_PROVISION !== 'false';
+const OIDC_DEFAULT_ROLE = process.env.OIDC_DEFAULT_ROLE || 'viewer';
+const OIDC_LINK_EXISTING_ADMINS = process.env.OIDC_LINK_EXISTING_ADMINS === 'true' && OIDC_ALLOWED_DOMAINS.length > 0;
+const OIDC_TRUST_IDP_MFA = process.env.OIDC_TRUST_IDP_MFA === 'true';
+const OIDC_LOGIN_STATE_TTL_MINUTES = 10;
+const OIDC_STATE_COOKIE = 'jobspeedy_sso_state';
+
+// Scheduled publishing: a background job inside the server opens Scheduled jobs at publish_at and
+// closes jobs at expires_at. Instances coordinate through a Postgres advisory lock.
+const JOB_SCHEDULER_ENABLED = process.env.JOB_SCHEDULER_ENABLED !== 'false';
+const JOB_SCHEDULER_INTERVAL_SECONDS = parseInt(process.env.JOB_SCHEDULER_INTERVAL_SECONDS) || 60;
+
+// Job lifecycle: with JOB_APPROVAL_REQUIRED=true new jobs start as Draft and only open once someone
+// with the jobs:approve permission approves them
+const JOB_APPROVAL_REQUIRED = process.env.JOB_APPROVAL_REQUIRED === 'true';
+
+// Search engine job listings: JobPosting JSON-LD gets validThrough = creation + JOB_POSTING_VALID_DAYS,
+// and the jobs sitemap is split into pages of SITEMAP_PAGE_SIZE URLs (50,000 is the protocol limit)
+const JOB_POSTING_VALID_DAYS = parseInt(process.env.JOB_POSTING_VALID_DAYS) || 60;
+const SITEMAP_PAGE_SIZE = Math.min(parseInt(process.env.SITEMAP_PAGE_SIZE) || 50000, 50000);
+
+// Geo search: job locations are resolved to coordinates by the GEOCODER ('gazetteer', the offline
+// city list in GEOCODER_GAZETTEER_FILE, or 'nominatim'). Radius searches default to JOB_GEO_DEFAULT_RADIUS_KM.
+const GEOCODER = process.env.GEOCODER || 'gazetteer';
+const GEOCODER_GAZETTEER_FILE = process.env.GEOCODER_GAZETTEER_FILE || path.join(__dirname, 'data', 'cities.json');
+const GEOCODER_NOMINATIM_URL = (process.env.GEOCODER_NOMINATIM_URL || 'https://nominatim.openstreetmap.org').replace(/\/+$/, '');
+// Minimum gap between Nominatim requests; the public service allows about one per second
+const GEOCODER_NOMINATIM_INTERVAL_MS = parseInt(process.env.GEOCODER_NOMINATIM_INTERVAL_MS) || 1000;
+const JOB_GEO_DEFAULT_RADIUS_KM = parseFloat(process.env.JOB_GEO_DEFAULT_RADIUS_KM) || 50;
+
+// Bulk job import: at most JOB_IMPORT_MAX_ROWS jobs per request
+const JOB_IMPORT_MAX_ROWS = parseInt(process.env.JOB_IMPORT_MAX_ROWS) || 1000;
+
+// Access tokens are short-lived; refresh tokens rotate on every use and expire after REFRESH_TOKEN_TTL_DAYS
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Account types that can sign in, mapped to their tables
+const ACCOUNT_TABLES = {
+  admin: 'admin_users',
+  user: 'users'
+};
+
 // AI Service API Key (supports Vercel env names)
 const AI_SERVICE_API_KEY =
   process.env.AI_SERVICE_API_KEY || // preferred (per Vercel)
@@ -82,6 +197,98 @@ if (AI_SERVICE_API_KEY && OpenAI) {
   }
 }
 
+// --------------------------------------------
+// Mailer: pluggable transports for outgoing email
+// --------------------------------------------
+// Each transport receives { from, to, subject, text } and is selected with MAIL_TRANSPORT.
+const MAIL_FROM = process.env.MAIL_FROM || 'JobSpeedy AI <no-reply@jobspeedy.ai>';
+
+const mailTransports = {
+  // Development default: print the message to the server log
+  console: async (message) => {
+    console.log(`[mail] From: ${message.from}\n[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+  },
+
+  // Development: write each message as a JSON file into MAIL_OUTBOX_DIR
+  file: async (message) => {
+    const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || 'mail-outbox');
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+    const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${uuidv4()}.json`;
+    await fs.promises.writeFile(
+      path.join(outboxDir, filename),
+      JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2)
+    );
+  },
+
+  // Hand the message to an HTTP email relay (MAIL_WEBHOOK_URL) as JSON
+  webhook: async (message) => {
+    if (!process.env.MAIL_WEBHOOK_URL) {
+      throw new Error('MAIL_WEBHOOK_URL is required for the webhook mail transport');
+    }
+    const response = await fetch(process.env.MAIL_WEBHOOK_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.MAIL_WEBHOOK_TOKEN ? { Authorization: `Bearer ${process.env.MAIL_WEBHOOK_TOKEN}` } : {})
+      },
+      body: JSON.stringify(message)
+    });
+    if (!response.ok) {
+      throw new Error(`Mail webhook responded with ${response.status}`);
+    }
+  }
+};
+
+async function sendMail({ to, subject, text }) {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = mailTransports[transportName];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+  await transport({ from: MAIL_FROM, to, subject, text });
+}
+
+// Helpers: single-use secrets are handed out once and only their SHA-256 hash is stored
+const generateSecureToken = () => crypto.randomBytes(32).toString('hex');
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Emails a candidate a signed link that confirms they own their address
+async function sendVerificationEmail(user) {
+  const token = jwt.sign({ id: user.id, email: user.email, purpose: 'verify-email' }, JWT_SECRET, {
+    expiresIn: EMAIL_VERIFICATION_TTL
+  });
+  const verifyUrl = `${APP_BASE_URL}/verify-email?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address for JobSpeedy AI',
+    text:
+      `Hi ${user.full_name || 'there'},\n\n` +
+      `Please confirm your email address by opening this link:\n${verifyUrl}\n\n` +
+      `If you did not create a JobSpeedy AI account, you can ignore this email.`
+  });
+  await pool.query('UPDATE users SET verification_sent_at = NOW() WHERE id = $1', [user.id]);
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9\s\-().\/]{6,25}$/;
+
+// Records who changed which profile field, so recruiters can see when contact details changed
+async function recordProfileChange(db, userId, field, oldValue, newValue, actor) {
+  await db.query(
+    `INSERT INTO user_profile_changes (user_id, field, old_value, new_value, changed_by_type, changed_by_id)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [userId, field, oldValue ?? null, newValue ?? null, actor.type, actor.id]
+  );
+}
+
+// Returns an error message when a new password does not meet the policy, otherwise null
+function validateNewPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  return null;
+}
+
 // Multer configuration for file uploads
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -108,6 +315,22 @@ const upload = multer({
   }
 });
 
+// Job import bodies (JSON or text/csv) up to JOB_IMPORT_MAX_BYTES
+const jobImportBody = [
+  express.json({ limit: JOB_IMPORT_MAX_BYTES }),
+  express.text({ type: 'text/csv', limit: JOB_IMPORT_MAX_BYTES })
+];
+
+// Job import files (CSV or JSON, field `file`); upload errors such as a too large file answer 400
+const jobImportUploader = multer({ storage, limits: { fileSize: JOB_IMPORT_MAX_BYTES } }).single('file');
+const jobImportUpload = (req, res, next) =>
+  jobImportUploader(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ error: 'File upload error', message: err.message });
+    }
+    next();
+  });
+
 // Helper: extract text from uploaded resume (PDF, DOC/DOCX, TXT)
 async function extractResumeText(file, maxChars = 60000) {
   const ext = (path.extname(file?.originalname || '') || '').toLowerCase();
@@ -350,2302 +573,7441 @@ async function aiParseResume(openaiClient, resumeText) {
   return parsed;
 }
 
-// Middleware: Verify JWT Token
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) {
-    return res.status(401).json({ error: 'No token provided' });
+// --------------------------------------------
+// Login throttling and account lockout
+// --------------------------------------------
+// Columns loaded for each account type when a password login succeeds
+const LOGIN_ACCOUNT_COLUMNS = {
+  admin: 'id, email, password_hash, role, totp_enabled_at, created_at',
+  user: 'id, full_name, email, phone, password_hash, verified_at, created_at'
+};
+
+const normalizeLoginEmail = (email) => String(email).trim().toLowerCase();
+
+// Failed attempts for an account since its last successful login or manual unlock.
+// With an ip only the failures from that address are counted.
+async function countRecentFailures(db, accountType, email, ip) {
+  const result = await db.query(
+    `SELECT
+       COUNT(*)::int AS failures,
+       EXTRACT(EPOCH FROM NOW() - MAX(a.created_at)) AS seconds_since_last,
+       CEIL(EXTRACT(EPOCH FROM MIN(a.created_at) + ($3 * INTERVAL '1 minute') - NOW()))::int AS seconds_until_expiry
+     FROM login_attempts a
+     WHERE a.account_type = $1 AND a.email = $2 AND a.success = false
+       AND ($4::text IS NULL OR a.ip_address = $4)
+       AND a.created_at > NOW() - ($3 * INTERVAL '1 minute')
+       AND a.created_at > COALESCE(
+         (SELECT MAX(s.created_at) FROM login_attempts s
+          WHERE s.account_type = $1 AND s.email = $2 AND s.success = true),
+         '-infinity'
+       )
+       AND a.created_at > COALESCE(
+         (SELECT l.unlocked_at FROM account_lockouts l WHERE l.account_type = $1 AND l.email = $2),
+         '-infinity'
+       )`,
+    [accountType, email, LOGIN_THROTTLE_WINDOW_MINUTES, ip || null]
+  );
+  return {
+    failures: result.rows[0].failures,
+    secondsSinceLast: Number(result.rows[0].seconds_since_last) || 0,
+    secondsUntilExpiry: Math.max(result.rows[0].seconds_until_expiry || 0, 1)
+  };
+}
+
+// Returns null when a login attempt may go ahead, otherwise a rejection { status, body, retryAfter }.
+// Delays and the first block are scoped to the caller's IP, so failures from one address cannot
+// lock the owner out; only LOGIN_ACCOUNT_LOCKOUT_ATTEMPTS failures across all addresses lock the account.
+async function checkLoginThrottle(db, accountType, email, ip) {
+  const lockout = await db.query(
+    `SELECT CEIL(EXTRACT(EPOCH FROM locked_until - NOW()))::int AS seconds_left
+     FROM account_lockouts
+     WHERE account_type = $1 AND email = $2 AND locked_until > NOW()`,
+    [accountType, email]
+  );
+  if (lockout.rows.length > 0) {
+    const retryAfter = lockout.rows[0].seconds_left;
+    return {
+      status: 429,
+      retryAfter,
+      body: { error: 'Account temporarily locked after too many failed login attempts', retry_after: retryAfter }
+    };
   }
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
-    return res.status(401).json({ error: 'Invalid token' });
+  if (!ip) return null;
+
+  const ipFailures = await db.query(
+    `SELECT COUNT(*)::int AS failures FROM login_attempts
+     WHERE ip_address = $1 AND success = false AND created_at > NOW() - ($2 * INTERVAL '1 minute')`,
+    [ip, LOGIN_THROTTLE_WINDOW_MINUTES]
+  );
+  if (ipFailures.rows[0].failures >= LOGIN_MAX_FAILED_PER_IP) {
+    const retryAfter = LOGIN_THROTTLE_WINDOW_MINUTES * 60;
+    return {
+      status: 429,
+      retryAfter,
+      body: { error: 'Too many failed login attempts from this address. Try again later.', retry_after: retryAfter }
+    };
   }
-};
 
-// Middleware: Verify Admin Token
-const verifyAdmin = async (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) {
-    return res.status(401).json({ error: 'No token provided' });
+  const recent = await countRecentFailures(db, accountType, email, ip);
+  if (recent.failures >= LOGIN_MAX_FAILED_ATTEMPTS) {
+    const retryAfter = recent.secondsUntilExpiry;
+    return {
+      status: 429,
+      retryAfter,
+      body: { error: 'Too many failed login attempts from this address. Try again later.', retry_after: retryAfter }
+    };
   }
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const result = await pool.query('SELECT id FROM admin_users WHERE id = $1', [decoded.id]);
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'Admin access required' });
+
+  // Progressive delay: 1s, 2s, 4s ... (capped) between attempts once the free attempts are used up
+  if (recent.failures >= LOGIN_FREE_ATTEMPTS) {
+    const delay = Math.min(2 ** (recent.failures - LOGIN_FREE_ATTEMPTS), LOGIN_MAX_DELAY_SECONDS);
+    if (recent.secondsSinceLast < delay) {
+      const retryAfter = Math.ceil(delay - recent.secondsSinceLast);
+      return {
+        status: 429,
+        retryAfter,
+        body: { error: 'Too many failed login attempts. Please wait before trying again.', retry_after: retryAfter }
+      };
     }
-    req.admin = decoded;
-    next();
-  } catch (error) {
-    return res.status(401).json({ error: 'Invalid token' });
   }
-};
 
-// --------------------------------------------
-// Helper: cache table columns to handle older schemas gracefully
-// --------------------------------------------
-const tableColumnsCache = {};
+  return null;
+}
 
-const getTableColumns = async (tableName) => {
-  if (tableColumnsCache[tableName]) return tableColumnsCache[tableName];
-  const result = await pool.query(
-    `SELECT column_name FROM information_schema.columns WHERE table_name = $1`,
-    [tableName]
+// Stores the outcome of a login attempt and locks the account once the account-wide limit is reached.
+// Returns true when this attempt caused a lockout.
+async function recordLoginAttempt(db, accountType, email, ip, success) {
+  await db.query(
+    'INSERT INTO login_attempts (account_type, email, ip_address, success) VALUES ($1, $2, $3, $4)',
+    [accountType, email, ip, success]
   );
-  const cols = result.rows.map((r) => r.column_name);
-  tableColumnsCache[tableName] = cols;
-  return cols;
-};
+  if (success) return false;
+
+  const { failures } = await countRecentFailures(db, accountType, email, null);
+  if (failures < LOGIN_ACCOUNT_LOCKOUT_ATTEMPTS) return false;
+
+  await db.query(
+    `INSERT INTO account_lockouts (account_type, email, locked_until, failed_attempts, locked_at, unlocked_at, unlocked_by)
+     VALUES ($1, $2, NOW() + ($3 * INTERVAL '1 minute'), $4, NOW(), NULL, NULL)
+     ON CONFLICT (account_type, email) DO UPDATE SET
+       locked_until = EXCLUDED.locked_until,
+       failed_attempts = EXCLUDED.failed_attempts,
+       locked_at = EXCLUDED.locked_at`,
+    [accountType, email, LOGIN_LOCKOUT_MINUTES, failures]
+  );
+  return true;
+}
 
-// ============================================
-// AUTHENTICATION APIs
-// ============================================
+// Runs one credential check behind the brute-force guard. The check, verify(client) and the
+// recorded outcome share a transaction holding a per-account advisory lock, so parallel requests
+// for the same account are serialized and cannot all slip past the throttle.
+// Resolves to { valid } or to { rejection } when the attempt was throttled or caused a lockout.
+async function guardCredentialCheck(accountType, email, req, verify) {
+  const loginEmail = normalizeLoginEmail(email);
+  const ip = req.ip || null;
 
-// 1. User Registration
-app.post('/api/users/register', async (req, res) => {
-  try {
-    const { full_name, email, password, phone } = req.body;
-    
-    if (!full_name || !email || !password) {
-      return res.status(400).json({ error: 'full_name, email, and password are required' });
-    }
+  return withTransaction(async (client) => {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`login:${accountType}:${loginEmail}`]);
 
-    // Check if email already exists
-    const existingUser = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
-    if (existingUser.rows.length > 0) {
-      return res.status(409).json({ error: 'Email already exists' });
-    }
+    const rejection = await checkLoginThrottle(client, accountType, loginEmail, ip);
+    if (rejection) return { rejection };
 
-    // Hash password
-    const passwordHash = await bcrypt.hash(password, 10);
+    const valid = Boolean(await verify(client));
+    const lockedNow = await recordLoginAttempt(client, accountType, loginEmail, ip, valid);
+    if (lockedNow) {
+      const retryAfter = LOGIN_LOCKOUT_MINUTES * 60;
+      return {
+        rejection: {
+          status: 429,
+          retryAfter,
+          body: { error: 'Account temporarily locked after too many failed login attempts', retry_after: retryAfter }
+        }
+      };
+    }
+    return { valid };
+  });
+}
 
-    // Insert user
-    const result = await pool.query(
-      'INSERT INTO users (full_name, email, password_hash, phone) VALUES ($1, $2, $3, $4) RETURNING id, full_name, email, phone, created_at',
-      [full_name, email, passwordHash, phone || null]
+// Checks email + password behind the brute-force guard.
+// Resolves to { account } on success, or to a rejection { status, body, retryAfter }.
+async function authenticateWithPassword(accountType, email, password, req) {
+  let account;
+  const outcome = await guardCredentialCheck(accountType, email, req, async (client) => {
+    const result = await client.query(
+      `SELECT ${LOGIN_ACCOUNT_COLUMNS[accountType]} FROM ${ACCOUNT_TABLES[accountType]} WHERE email = $1`,
+      [email]
     );
+    account = result.rows[0];
+    return account ? bcrypt.compare(password, account.password_hash) : false;
+  });
+  if (outcome.rejection) return outcome.rejection;
+  if (!outcome.valid) {
+    return { status: 401, body: { error: 'Invalid credentials' } };
+  }
+  return { account };
+}
 
-    const user = result.rows[0];
+const sendLoginRejection = (res, rejection) => {
+  if (rejection.retryAfter) {
+    res.set('Retry-After', String(rejection.retryAfter));
+  }
+  return res.status(rejection.status).json(rejection.body);
+};
 
-    // Generate JWT token
-    const token = jwt.sign({ id: user.id, email: user.email }, JWT_SECRET, { expiresIn: '7d' });
+// --------------------------------------------
+// Two-factor authentication (TOTP, RFC 6238)
+// --------------------------------------------
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
 
-    res.status(201).json({
-      token,
-      user: {
-        id: user.id,
-        full_name: user.full_name,
-        email: user.email,
-        phone: user.phone,
-        created_at: user.created_at
-      }
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
   }
-});
+  return Buffer.from(bytes);
+}
 
-// 2. User Login
-app.post('/api/users/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
+// HOTP (RFC 4226) value for one counter step
+function generateHotp(key, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
+// Returns the matching time step for a code, or null. One step of clock drift is tolerated.
+function verifyTotpCode(base32Secret, code) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (normalized.length !== TOTP_DIGITS || !/^\d+$/.test(normalized)) return null;
+  const key = base32Decode(base32Secret);
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  for (let drift = -1; drift <= 1; drift++) {
+    const candidate = generateHotp(key, currentStep + drift);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return currentStep + drift;
     }
+  }
+  return null;
+}
 
-    // Find user
-    const result = await pool.query(
-      'SELECT id, full_name, email, phone, password_hash, created_at FROM users WHERE email = $1',
-      [email]
-    );
+const totpProvisioningUri = (email, base32Secret) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+  const params = new URLSearchParams({
+    secret: base32Secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
 
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+// TOTP secrets are stored encrypted (AES-256-GCM) so a database dump alone cannot mint codes
+const totpKey = crypto.createHash('sha256').update(String(TOTP_ENCRYPTION_KEY)).digest();
 
-    const user = result.rows[0];
+function encryptTotpSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', totpKey, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.');
+}
 
-    // Verify password
-    const isValid = await bcrypt.compare(password, user.password_hash);
-    if (!isValid) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+function decryptTotpSecret(stored) {
+  const [iv, tag, encrypted] = stored.split('.').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', totpKey, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
 
-    // Generate JWT token
-    const token = jwt.sign({ id: user.id, email: user.email }, JWT_SECRET, { expiresIn: '7d' });
+// Creates a fresh pending secret; it only becomes active once a code from it is confirmed
+async function beginTotpSetup(admin) {
+  const secret = base32Encode(crypto.randomBytes(20));
+  await pool.query('UPDATE admin_users SET totp_pending_secret = $1 WHERE id = $2', [
+    encryptTotpSecret(secret),
+    admin.id
+  ]);
+  return { secret, otpauth_uri: totpProvisioningUri(admin.email, secret) };
+}
 
-    res.json({
-      token,
-      user: {
-        id: user.id,
-        full_name: user.full_name,
-        email: user.email,
-        phone: user.phone,
-        created_at: user.created_at
-      }
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+// Replaces the admin's recovery codes and returns the new plain-text codes (shown once)
+async function regenerateRecoveryCodes(adminId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  await withTransaction(async (client) => {
+    await client.query('DELETE FROM admin_recovery_codes WHERE admin_id = $1', [adminId]);
+    for (const code of codes) {
+      await client.query('INSERT INTO admin_recovery_codes (admin_id, code_hash) VALUES ($1, $2)', [
+        adminId,
+        hashToken(code)
+      ]);
+    }
+  });
+  return codes;
+}
 
-// 3. Get Current User Profile
-app.get('/api/users/me', verifyToken, async (req, res) => {
-  try {
+// Checks a TOTP code (never the same time step twice) or consumes a recovery code.
+// Pass usePendingSecret to confirm a secret that is still being enrolled.
+async function verifyAdminSecondFactor(adminId, { code, recoveryCode, usePendingSecret = false }) {
+  if (recoveryCode && !usePendingSecret) {
+    const normalized = String(recoveryCode).trim().toLowerCase();
     const result = await pool.query(
-      'SELECT id, full_name, email, phone, created_at FROM users WHERE id = $1',
-      [req.user.id]
+      `UPDATE admin_recovery_codes SET used_at = NOW()
+       WHERE admin_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [adminId, hashToken(normalized)]
     );
+    return result.rows.length > 0;
+  }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+  const result = await pool.query(
+    'SELECT totp_secret, totp_pending_secret, totp_last_used_step FROM admin_users WHERE id = $1',
+    [adminId]
+  );
+  const stored = usePendingSecret ? result.rows[0]?.totp_pending_secret : result.rows[0]?.totp_secret;
+  if (!stored) return false;
+
+  const step = verifyTotpCode(decryptTotpSecret(stored), code);
+  if (step === null) return false;
+
+  // Claim the step atomically to stop a code being replayed within its validity window
+  const claimed = await pool.query(
+    `UPDATE admin_users SET totp_last_used_step = $1
+     WHERE id = $2 AND (totp_last_used_step IS NULL OR totp_last_used_step < $1)
+     RETURNING id`,
+    [step, adminId]
+  );
+  return claimed.rows.length > 0;
+}
 
-    res.json({ user: result.rows[0] });
+// Turns the confirmed pending secret into the active one and issues recovery codes
+async function activateTotp(adminId) {
+  await pool.query(
+    `UPDATE admin_users
+     SET totp_secret = totp_pending_secret, totp_pending_secret = NULL, totp_enabled_at = NOW()
+     WHERE id = $1`,
+    [adminId]
+  );
+  return regenerateRecoveryCodes(adminId);
+}
+
+// When an admin needs a second factor, returns the challenge to send instead of a session
+function adminMfaChallenge(admin) {
+  const enrolled = Boolean(admin.totp_enabled_at);
+  if (!enrolled && !ADMIN_2FA_REQUIRED) return null;
+  const challengeToken = jwt.sign({ id: admin.id, email: admin.email, purpose: 'mfa-challenge' }, JWT_SECRET, {
+    expiresIn: MFA_CHALLENGE_TTL_SECONDS
+  });
+  return {
+    mfa_required: true,
+    enrollment_required: !enrolled,
+    challenge_token: challengeToken,
+    expires_in: MFA_CHALLENGE_TTL_SECONDS
+  };
+}
+
+// Resolves a challenge token to its admin, or null when it is invalid or expired
+async function adminFromMfaChallenge(challengeToken) {
+  let payload;
+  try {
+    payload = jwt.verify(String(challengeToken || ''), JWT_SECRET);
   } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    return null;
   }
-});
+  if (payload.purpose !== 'mfa-challenge') return null;
+  const result = await pool.query(
+    'SELECT id, email, role, totp_enabled_at, totp_pending_secret, created_at FROM admin_users WHERE id = $1',
+    [payload.id]
+  );
+  return result.rows[0] || null;
+}
 
-// 4. Admin Registration
-app.post('/api/admin/register', async (req, res) => {
-  try {
-    const { email, password } = req.body;
+// Second login step shared by the admin login endpoints.
+// Resolves to { admin, recoveryCodes } on success, or to a rejection { status, body, retryAfter }.
+async function completeAdminMfaLogin(req) {
+  const challengeToken = req.body.challenge_token ?? req.body.challengeToken;
+  const { code } = req.body;
+  const recoveryCode = req.body.recovery_code ?? req.body.recoveryCode;
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return { status: 400, body: { error: 'challenge_token and code (or recovery_code) are required' } };
+  }
 
-    // Check if email already exists
-    const existingAdmin = await pool.query('SELECT id FROM admin_users WHERE email = $1', [email]);
-    if (existingAdmin.rows.length > 0) {
-      return res.status(409).json({ error: 'Email already exists' });
-    }
+  const admin = await adminFromMfaChallenge(challengeToken);
+  if (!admin) {
+    return { status: 401, body: { error: 'Invalid or expired challenge token' } };
+  }
 
-    // Hash password
-    const passwordHash = await bcrypt.hash(password, 10);
+  const enrolling = !admin.totp_enabled_at;
+  if (enrolling && !admin.totp_pending_secret) {
+    return { status: 400, body: { error: 'Start two-factor enrolment first', enrollment_required: true } };
+  }
 
-    // Insert admin
-    const result = await pool.query(
-      'INSERT INTO admin_users (email, password_hash) VALUES ($1, $2) RETURNING id, email, created_at',
-      [email, passwordHash]
-    );
+  // Wrong codes count as failed logins, so the usual throttling and lockout apply
+  const outcome = await guardCredentialCheck('admin', admin.email, req, () =>
+    verifyAdminSecondFactor(admin.id, { code, recoveryCode, usePendingSecret: enrolling })
+  );
+  if (outcome.rejection) return outcome.rejection;
+  if (!outcome.valid) {
+    return { status: 401, body: { error: 'Invalid verification code' } };
+  }
 
-    const admin = result.rows[0];
+  const recoveryCodes = enrolling ? await activateTotp(admin.id) : null;
+  return { admin, recoveryCodes };
+}
 
-    // Generate JWT token
-    const token = jwt.sign({ id: admin.id, email: admin.email }, JWT_SECRET, { expiresIn: '7d' });
+// Checks a code from the signed-in admin behind the brute-force guard, so that a stolen access
+// token cannot be used to guess codes. Resolves to { valid } or to { rejection }.
+const guardAdminSecondFactor = (req, email, options) =>
+  guardCredentialCheck('admin', email, req, () => verifyAdminSecondFactor(req.admin.id, options));
 
-    res.status(201).json({
-      token,
-      admin: {
-        id: admin.id,
-        email: admin.email,
-        created_at: admin.created_at
-      }
-    });
-  } catch (error) {
-    console.error('Admin registration error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+// --------------------------------------------
+// Admin roles and permissions
+// --------------------------------------------
+const ADMIN_ROLES = {
+  owner: {
+    label: 'Owner',
+    description: 'Full access, including managing other admins',
+    permissions: ['*']
+  },
+  recruiter: {
+    label: 'Recruiter',
+    description: 'Manages jobs, clients, candidates and applications',
+    permissions: [
+      'jobs:read', 'jobs:write', 'jobs:delete',
+      'applications:read', 'applications:write', 'resumes:read',
+      'users:read', 'clients:read', 'clients:write', 'dashboard:read'
+    ]
+  },
+  'hiring-manager': {
+    label: 'Hiring Manager',
+    description: 'Reviews and approves jobs, reviews applications, including resumes',
+    permissions: [
+      'jobs:read', 'jobs:approve',
+      'applications:read', 'applications:write', 'resumes:read', 'clients:read', 'dashboard:read'
+    ]
+  },
+  viewer: {
+    label: 'Read-only Viewer',
+    description: 'Read-only access to jobs, applications, candidates and the dashboard (no resumes)',
+    permissions: ['jobs:read', 'applications:read', 'users:read', 'clients:read', 'dashboard:read']
   }
-});
+};
 
-// 5. Admin Login
-app.post('/api/admin/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
+// Works for admins (role permissions) and API keys (scopes)
+const hasPermission = (principal, permission) => {
+  const permissions = principal?.permissions || principal?.scopes || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
 
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
+// Returns the admin's role, or null when the admin does not exist
+async function getAdminRole(adminId) {
+  const result = await pool.query('SELECT role FROM admin_users WHERE id = $1', [adminId]);
+  if (result.rows.length === 0) return null;
+  return result.rows[0].role || 'viewer';
+}
 
-    // Find admin
-    const result = await pool.query(
-      'SELECT id, email, password_hash, created_at FROM admin_users WHERE email = $1',
-      [email]
-    );
+async function isAdminSelfRegistrationOpen() {
+  if (ADMIN_SELF_REGISTRATION) return true;
+  const result = await pool.query('SELECT 1 FROM admin_users LIMIT 1');
+  return result.rows.length === 0;
+}
 
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+// The very first admin becomes the owner; later self-registered admins start read-only
+async function roleForSelfRegisteredAdmin() {
+  const result = await pool.query('SELECT COUNT(*) AS count FROM admin_users');
+  return parseInt(result.rows[0].count) === 0 ? 'owner' : 'viewer';
+}
 
-    const admin = result.rows[0];
+// Helper: drop resume bytes from an application row (for admins without resumes:read)
+const withoutResumeData = (application) => {
+  const { resume_data, ...rest } = application;
+  return rest;
+};
 
-    // Verify password
-    const isValid = await bcrypt.compare(password, admin.password_hash);
-    if (!isValid) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
+// --------------------------------------------
+// OpenID Connect single sign-on for admins
+// --------------------------------------------
+const OIDC_METADATA_CACHE_MS = 60 * 60 * 1000;
+const OIDC_SIGNING_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const oidcCache = { discovery: null, discoveryFetchedAt: 0, jwks: null, jwksFetchedAt: 0 };
 
-    // Generate JWT token
-    const token = jwt.sign({ id: admin.id, email: admin.email }, JWT_SECRET, { expiresIn: '7d' });
+const isOidcConfigured = () => Boolean(OIDC_ISSUER && OIDC_CLIENT_ID);
 
-    res.json({
-      token,
-      admin: {
-        id: admin.id,
-        email: admin.email,
-        created_at: admin.created_at
-      }
-    });
-  } catch (error) {
-    console.error('Admin login error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+const base64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
 
-// Alternative Admin Auth Endpoints (for frontend compatibility)
-app.post('/api/auth/register-admin', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
-    const existingAdmin = await pool.query('SELECT id FROM admin_users WHERE email = $1', [email]);
-    if (existingAdmin.rows.length > 0) {
-      return res.status(409).json({ error: 'Email already exists' });
-    }
-    const passwordHash = await bcrypt.hash(password, 10);
-    const result = await pool.query(
-      'INSERT INTO admin_users (email, password_hash) VALUES ($1, $2) RETURNING id, email, created_at',
-      [email, passwordHash]
-    );
-    const admin = result.rows[0];
-    const token = jwt.sign({ id: admin.id, email: admin.email }, JWT_SECRET, { expiresIn: '7d' });
-    res.status(201).json({
-      user: {
-        id: admin.id,
-        email: admin.email
-      },
-      token
-    });
-  } catch (error) {
-    console.error('Admin registration error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const detail = body?.error_description || body?.error || response.statusText;
+    throw new Error(`Request to ${url} failed with ${response.status}: ${detail}`);
   }
-});
+  return body;
+}
 
-app.post('/api/auth/login-admin', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
-    const result = await pool.query(
-      'SELECT id, email, password_hash, created_at FROM admin_users WHERE email = $1',
-      [email]
-    );
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
-    const admin = result.rows[0];
-    const isValid = await bcrypt.compare(password, admin.password_hash);
-    if (!isValid) {
-      return res.status(401).json({ error: 'Invalid credentials' });
-    }
-    const token = jwt.sign({ id: admin.id, email: admin.email }, JWT_SECRET, { expiresIn: '7d' });
-    res.json({
-      user: {
-        id: admin.id,
-        email: admin.email
-      },
-      token
-    });
-  } catch (error) {
-    console.error('Admin login error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+// Provider metadata from /.well-known/openid-configuration (cached for an hour)
+async function getOidcDiscovery() {
+  if (oidcCache.discovery && Date.now() - oidcCache.discoveryFetchedAt < OIDC_METADATA_CACHE_MS) {
+    return oidcCache.discovery;
   }
-});
-
-app.post('/api/auth/reset-password', async (req, res) => {
-  try {
-    const { email, newPassword } = req.body;
-    if (!email || !newPassword) {
-      return res.status(400).json({ error: 'Email and newPassword are required' });
-    }
-    const passwordHash = await bcrypt.hash(newPassword, 10);
-    const result = await pool.query(
-      'UPDATE admin_users SET password_hash = $1 WHERE email = $2 RETURNING id',
-      [passwordHash, email]
-    );
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Admin not found' });
-    }
-    res.json({ message: 'Password reset successfully' });
-  } catch (error) {
-    console.error('Password reset error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  const discovery = await fetchJson(`${OIDC_ISSUER}/.well-known/openid-configuration`);
+  if (discovery.issuer !== OIDC_ISSUER) {
+    throw new Error(`OIDC issuer mismatch: expected ${OIDC_ISSUER}, got ${discovery.issuer}`);
   }
-});
+  oidcCache.discovery = discovery;
+  oidcCache.discoveryFetchedAt = Date.now();
+  return discovery;
+}
 
-// ============================================
-// JOBS APIs
-// ============================================
+// Public key for an ID token's kid; the key set is refetched when the provider rotates keys
+async function getOidcSigningKey(kid) {
+  const findKey = () => oidcCache.jwks?.keys?.find((jwk) => (kid ? jwk.kid === kid : jwk.use !== 'enc'));
+  let jwk = Date.now() - oidcCache.jwksFetchedAt < OIDC_METADATA_CACHE_MS ? findKey() : null;
+  if (!jwk) {
+    const discovery = await getOidcDiscovery();
+    oidcCache.jwks = await fetchJson(discovery.jwks_uri);
+    oidcCache.jwksFetchedAt = Date.now();
+    jwk = findKey();
+  }
+  if (!jwk) {
+    throw new Error(`No OIDC signing key found for kid ${kid}`);
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
 
-// Get All Jobs (Public)
-app.get('/api/jobs', async (req, res) => {
-  try {
-    const { search, location, job_type, category, status, department, limit, offset } = req.query;
-    
-    let query = `
-      SELECT 
-        j.*,
-        COALESCE(j.company, c.company) AS company,
-        c.company AS client_company,
-        j.location,
-        j.job_type,
-        j.category,
-        j.language
-      FROM jobs j
-      LEFT JOIN clients c ON j.client_id = c.id
-      WHERE 1=1
-    `;
-    const params = [];
-    let paramCount = 0;
+// Starts a login: stores state, nonce and the PKCE verifier, and returns the provider URL
+async function createOidcAuthorizationUrl() {
+  const discovery = await getOidcDiscovery();
+  const state = generateSecureToken();
+  const nonce = generateSecureToken();
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  // Abandoned logins are cleaned up here rather than by a background job
+  await pool.query('DELETE FROM oidc_login_states WHERE expires_at <= NOW()');
+  await pool.query(
+    `INSERT INTO oidc_login_states (state_hash, nonce, code_verifier, redirect_uri, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + ($5 * INTERVAL '1 minute'))`,
+    [hashToken(state), nonce, codeVerifier, OIDC_REDIRECT_URI, OIDC_LOGIN_STATE_TTL_MINUTES]
+  );
 
-    if (search) {
-      paramCount++;
-      query += ` AND (j.title ILIKE $${paramCount} OR j.description ILIKE $${paramCount})`;
-      params.push(`%${search}%`);
-    }
-    if (location) {
-      paramCount++;
-      query += ` AND j.location = $${paramCount}`;
-      params.push(location);
-    }
-    if (job_type) {
-      paramCount++;
-      query += ` AND j.job_type = $${paramCount}`;
-      params.push(job_type);
-    }
-    if (category) {
-      paramCount++;
-      query += ` AND j.category = $${paramCount}`;
-      params.push(category);
-    }
-    if (status) {
-      paramCount++;
-      query += ` AND j.status = $${paramCount}`;
-      params.push(status);
-    }
-    if (department) {
-      paramCount++;
-      query += ` AND j.department = $${paramCount}`;
-      params.push(department);
-    }
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: OIDC_CLIENT_ID,
+    redirect_uri: OIDC_REDIRECT_URI,
+    scope: OIDC_SCOPES,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+  return { authorizationUrl: `${discovery.authorization_endpoint}?${params}`, state };
+}
 
-    // Build count query (same filters, no pagination)
-    let countQuery = `
-      SELECT COUNT(*) as count
-      FROM jobs j
-      LEFT JOIN clients c ON j.client_id = c.id
-      WHERE 1=1
-    `;
-    const countParams = [];
-    let countParamCount = 0;
+// Exchanges the authorization code and returns the verified ID token claims.
+// The state is consumed whether or not the exchange succeeds.
+async function completeOidcAuthorization(code, state) {
+  const stored = await pool.query(
+    'DELETE FROM oidc_login_states WHERE state_hash = $1 AND expires_at > NOW() RETURNING nonce, code_verifier, redirect_uri',
+    [hashToken(state)]
+  );
+  if (stored.rows.length === 0) return null;
+  const { nonce, code_verifier: codeVerifier, redirect_uri: redirectUri } = stored.rows[0];
+
+  const discovery = await getOidcDiscovery();
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: OIDC_CLIENT_ID,
+    code_verifier: codeVerifier
+  });
+  if (OIDC_CLIENT_SECRET) {
+    form.set('client_secret', OIDC_CLIENT_SECRET);
+  }
+  const tokens = await fetchJson(discovery.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: form.toString()
+  });
+  if (!tokens.id_token) {
+    throw new Error('OIDC token response did not include an id_token');
+  }
 
-    if (search) {
-      countParamCount++;
-      countQuery += ` AND (j.title ILIKE $${countParamCount} OR j.description ILIKE $${countParamCount})`;
-      countParams.push(`%${search}%`);
-    }
-    if (location) {
-      countParamCount++;
-      countQuery += ` AND j.location = $${countParamCount}`;
-      countParams.push(location);
-    }
-    if (job_type) {
-      countParamCount++;
-      countQuery += ` AND j.job_type = $${countParamCount}`;
-      countParams.push(job_type);
-    }
-    if (category) {
-      countParamCount++;
-      countQuery += ` AND j.category = $${countParamCount}`;
-      countParams.push(category);
-    }
-    if (status) {
-      countParamCount++;
-      countQuery += ` AND j.status = $${countParamCount}`;
-      countParams.push(status);
-    }
-    if (department) {
-      countParamCount++;
-      countQuery += ` AND j.department = $${countParamCount}`;
-      countParams.push(department);
-    }
+  const header = jwt.decode(tokens.id_token, { complete: true })?.header;
+  const key = await getOidcSigningKey(header?.kid);
+  const claims = jwt.verify(tokens.id_token, key, {
+    algorithms: OIDC_SIGNING_ALGORITHMS,
+    issuer: OIDC_ISSUER,
+    audience: OIDC_CLIENT_ID
+  });
+  if (claims.nonce !== nonce) {
+    throw new Error('OIDC nonce mismatch');
+  }
+  return claims;
+}
 
-    query += ' ORDER BY j.created_at DESC';
+// The value of one cookie of the request, or null
+const readCookie = (req, name) => {
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+};
 
-    if (limit) {
-      paramCount++;
-      query += ` LIMIT $${paramCount}`;
-      params.push(parseInt(limit));
-    }
-    if (offset) {
-      paramCount++;
-      query += ` OFFSET $${paramCount}`;
-      params.push(parseInt(offset));
-    }
+const isAllowedOidcEmail = (email) => {
+  if (OIDC_ALLOWED_DOMAINS.length === 0) return true;
+  const domain = email.split('@').pop().toLowerCase();
+  return OIDC_ALLOWED_DOMAINS.includes(domain);
+};
 
-    const [result, countResult] = await Promise.all([
-      pool.query(query, params),
-      pool.query(countQuery, countParams)
-    ]);
+// Finds the admin linked to the identity, links an existing admin with the same email (only with
+// OIDC_LINK_EXISTING_ADMINS, and never one with 2FA), or provisions a new one.
+// Returns { admin } or { status, error }.
+async function resolveOidcAdmin(claims) {
+  const email = typeof claims.email === 'string' ? claims.email.trim() : '';
+  if (!email) {
+    return { status: 403, error: 'The identity provider did not share an email address' };
+  }
+  if (claims.email_verified !== true) {
+    return { status: 403, error: 'The email address is not verified by the identity provider' };
+  }
+  if (!isAllowedOidcEmail(email)) {
+    return { status: 403, error: 'This email domain is not allowed to sign in' };
+  }
 
-    res.json({
-      jobs: result.rows,
-      count: parseInt(countResult.rows[0].count)
-    });
-  } catch (error) {
-    console.error('Get jobs error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  const columns = 'id, email, role, totp_enabled_at, created_at';
+  const linked = await pool.query(
+    `SELECT ${columns} FROM admin_users WHERE oidc_issuer = $1 AND oidc_subject = $2`,
+    [OIDC_ISSUER, claims.sub]
+  );
+  if (linked.rows.length > 0) {
+    return { admin: linked.rows[0] };
   }
-});
 
-// Get Single Job by ID (Public)
-app.get('/api/jobs/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await pool.query(
-      `SELECT 
-        j.*,
-        COALESCE(j.company, c.company) AS company,
-        c.company AS client_company,
-        j.location,
-        j.job_type,
-        j.category,
-        j.language
-      FROM jobs j
-      LEFT JOIN clients c ON j.client_id = c.id
-      WHERE j.id = $1`,
-      [id]
+  // Linking hands the account to whoever holds the address at the identity provider
+  const existing = await pool.query(
+    'SELECT id, oidc_subject, totp_enabled_at FROM admin_users WHERE LOWER(email) = LOWER($1)',
+    [email]
+  );
+  if (existing.rows.length > 0) {
+    const account = existing.rows[0];
+    if (!OIDC_LINK_EXISTING_ADMINS || account.oidc_subject || account.totp_enabled_at) {
+      return { status: 409, error: 'An admin with this email exists and is not linked to this identity' };
+    }
+    const byEmail = await pool.query(
+      `UPDATE admin_users SET oidc_issuer = $1, oidc_subject = $2
+       WHERE id = $3 AND oidc_subject IS NULL AND totp_enabled_at IS NULL
+       RETURNING ${columns}`,
+      [OIDC_ISSUER, claims.sub, account.id]
     );
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Job not found' });
+    if (byEmail.rows.length === 0) {
+      return { status: 409, error: 'An admin with this email exists and is not linked to this identity' };
     }
+    return { admin: byEmail.rows[0] };
+  }
 
-    res.json({ job: result.rows[0] });
-  } catch (error) {
-    console.error('Get job error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  if (!OIDC_AUTO_PROVISION) {
+    return { status: 403, error: 'No admin account exists for this identity' };
   }
-});
 
-// Create Job (Admin Only)
-app.post('/api/jobs', verifyAdmin, async (req, res) => {
+  // SSO admins get an unusable password; they sign in through the identity provider
+  const passwordHash = await bcrypt.hash(generateSecureToken(), 10);
+  const role = ADMIN_ROLES[OIDC_DEFAULT_ROLE] ? OIDC_DEFAULT_ROLE : 'viewer';
   try {
-    const {
-      title,
-      department,
-      description,
-      requirements,
-      status,
-      created_by,
-      client_id,
-      location,
-      job_type,
-      type, // alias from frontend
-      category,
-      language,
-      company, // possible alias for client_id (numeric) or company name
-      company_id, // possible alias for client_id
-      company_name, // explicit company name field
-    } = req.body;
-
-    if (!title || !department) {
-      return res.status(400).json({ error: 'title and department are required' });
-    }
-
-    // Normalize requirements to an array (accept array, JSON string, or string -> split by comma/line)
-    let requirementsArray = [];
-    if (Array.isArray(requirements)) {
-      requirementsArray = requirements;
-    } else if (typeof requirements === 'string') {
-      try {
-        const parsed = JSON.parse(requirements);
-        requirementsArray = Array.isArray(parsed) ? parsed : [];
-      } catch {
-        requirementsArray = requirements
-          .split(/,|\n/)
-          .map((item) => item.trim())
-          .filter(Boolean);
-      }
-    }
-
-    // Normalize required skills (accept aliases and string/array)
-    const requiredSkillsRaw =
-      req.body.required_skills ??
-      req.body.requiredSkills ??
-      req.body.skills ??
-      req.body.skills_text ??
-      req.body.skillsText;
-    let requiredSkillsArray = [];
-    if (requiredSkillsRaw !== undefined) {
-      if (Array.isArray(requiredSkillsRaw)) {
-        requiredSkillsArray = requiredSkillsRaw;
-      } else if (typeof requiredSkillsRaw === 'string') {
-        try {
-          const parsed = JSON.parse(requiredSkillsRaw);
-          requiredSkillsArray = Array.isArray(parsed) ? parsed : [];
-        } catch {
-          requiredSkillsArray = requiredSkillsRaw
-            .split(/,|\n/)
-            .map((item) => item.trim())
-            .filter(Boolean);
-        }
-      }
+    const created = await pool.query(
+      `INSERT INTO admin_users (email, password_hash, role, oidc_issuer, oidc_subject)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${columns}`,
+      [email, passwordHash, role, OIDC_ISSUER, claims.sub]
+    );
+    return { admin: created.rows[0] };
+  } catch (error) {
+    if (error.code === '23505') {
+      return { status: 409, error: 'This email is already linked to another identity' };
     }
+    throw error;
+  }
+}
 
-    // Normalize optional types / defaults
-    const numericCompany =
-      company !== undefined && company !== null && company !== '' && !Number.isNaN(Number(company))
-        ? Number(company)
-        : undefined;
-    const candidateClientId =
-      client_id !== undefined ? client_id :
-      company_id !== undefined ? company_id :
-      numericCompany;
-    const normalizedClientId =
-      candidateClientId === undefined || candidateClientId === null || candidateClientId === ''
-        ? null
-        : Number(candidateClientId);
-    const normalizedJobType = job_type || type || null;
-    const normalizedStatus = status || 'Open';
-    const normalizedCreatedBy = created_by || 'Admin';
-    const normalizedCompanyName =
-      company_name !== undefined && company_name !== null && company_name !== ''
-        ? company_name
-        : company !== undefined && typeof company === 'string' && company.trim() !== ''
-          ? company
-          : null;
+// --------------------------------------------
+// API keys for machine-to-machine integrations
+// --------------------------------------------
+// Scopes reuse the admin permission names; managing admins stays human-only
+const API_KEY_SCOPES = [
+  'jobs:read', 'jobs:write', 'jobs:delete', 'jobs:approve',
+  'applications:read', 'applications:write', 'applications:delete', 'resumes:read'
+];
+const API_KEY_PATTERN = /^jsk_([0-9a-f]{8})_([0-9a-f]{64})$/;
+
+// Keys look like jsk_<prefix>_<secret>; only the prefix and a SHA-256 hash are stored
+const generateApiKey = () => {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  return { prefix, key: `jsk_${prefix}_${generateSecureToken()}` };
+};
 
-    const availableCols = await getTableColumns('jobs');
-    // Map payload fields to DB columns
-    const candidateFields = {
-      title,
-      department,
-      description: description || null,
-      required_skills: requiredSkillsArray,
-      requirements: requirementsArray,
-      status: normalizedStatus,
-      created_by: normalizedCreatedBy,
-      client_id: Number.isNaN(normalizedClientId) ? null : normalizedClientId,
-      location: location || null,
-      job_type: normalizedJobType,
-      category: category || null,
-      language: language || null,
-      company: normalizedCompanyName,
-    };
+// Accepts "X-API-Key: jsk_..." or "Authorization: Bearer jsk_..."
+const extractApiKey = (req) => {
+  const header = req.headers['x-api-key'];
+  if (header) return String(header).trim();
+  const bearer = req.headers.authorization?.split(' ')[1];
+  return bearer && bearer.startsWith('jsk_') ? bearer : null;
+};
 
-    const columns = [];
-    const values = [];
-    let param = 0;
-    for (const [key, value] of Object.entries(candidateFields)) {
-      if (availableCols.includes(key) && value !== undefined) {
-        param += 1;
-        columns.push(key);
-        values.push(value);
-      }
-    }
-
-    if (columns.length === 0) {
-      return res.status(400).json({
-        error: 'No matching columns found in jobs table',
-        available_columns: availableCols
-      });
-    }
+// Returns { id, name, scopes } for an active key, otherwise null
+async function authenticateApiKey(apiKey, req) {
+  const match = API_KEY_PATTERN.exec(apiKey);
+  if (!match) return null;
 
-    const placeholders = columns.map((_, idx) => `$${idx + 1}`).join(', ');
-    const query = `INSERT INTO jobs (${columns.join(', ')}) VALUES (${placeholders}) RETURNING *`;
-    const result = await pool.query(query, values);
+  const result = await pool.query(
+    `SELECT id, name, key_hash, scopes FROM api_keys
+     WHERE key_prefix = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`,
+    [match[1]]
+  );
+  if (result.rows.length === 0) return null;
+  const key = result.rows[0];
 
-    res.status(201).json({ job: result.rows[0] });
-  } catch (error) {
-    console.error('Create job error:', error);
-    res.status(500).json({ error: 'Internal server error', message: error.message });
+  const expected = Buffer.from(key.key_hash, 'hex');
+  const actual = Buffer.from(hashToken(apiKey), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
   }
-});
 
-// Update Job (Admin Only)
-app.put('/api/jobs/:id', verifyAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const {
-      title,
-      department,
-      description,
-      requirements,
-      required_skills,
-      status,
-      location,
-      job_type,
-      type, // alias from frontend
-      category,
-      language,
-      client_id,
-      company,
-      company_id,
-      company_name,
-    } = req.body;
-
-    // Normalize requirements to an array if provided
-    let requirementsArray = undefined;
-    if (requirements !== undefined) {
-      if (Array.isArray(requirements)) {
-        requirementsArray = requirements;
-      } else if (typeof requirements === 'string') {
-        try {
-          const parsed = JSON.parse(requirements);
-          requirementsArray = Array.isArray(parsed) ? parsed : [];
-        } catch {
-          requirementsArray = requirements
-            .split(/,|\n/)
-            .map((item) => item.trim())
-            .filter(Boolean);
-        }
-      } else {
-        requirementsArray = [];
-      }
-    }
-
-    // Normalize required skills (accept aliases and string/array)
-    const requiredSkillsRaw =
-      required_skills ??
-      req.body.requiredSkills ??
-      req.body.skills ??
-      req.body.skills_text ??
-      req.body.skillsText;
-    let requiredSkillsArray = undefined;
-    if (requiredSkillsRaw !== undefined) {
-      if (Array.isArray(requiredSkillsRaw)) {
-        requiredSkillsArray = requiredSkillsRaw;
-      } else if (typeof requiredSkillsRaw === 'string') {
-        try {
-          const parsed = JSON.parse(requiredSkillsRaw);
-          requiredSkillsArray = Array.isArray(parsed) ? parsed : [];
-        } catch {
-          requiredSkillsArray = requiredSkillsRaw
-            .split(/,|\n/)
-            .map((item) => item.trim())
-            .filter(Boolean);
-        }
-      } else {
-        requiredSkillsArray = [];
-      }
-    }
-
-    // Normalize optional numeric / defaults
-    const numericCompany =
-      company !== undefined && company !== null && company !== '' && !Number.isNaN(Number(company))
-        ? Number(company)
-        : undefined;
-    const candidateClientId =
-      client_id !== undefined ? client_id :
-      company_id !== undefined ? company_id :
-      numericCompany;
-    const normalizedClientId =
-      candidateClientId === undefined || candidateClientId === null || candidateClientId === ''
-        ? null
-        : Number(candidateClientId);
-    const normalizedJobType = job_type || type || null;
-    const normalizedCompanyName =
-      company_name !== undefined && company_name !== null && company_name !== ''
-        ? company_name
-        : company !== undefined && typeof company === 'string' && company.trim() !== ''
-          ? company
-          : null;
+  // Only touch the row once a minute so busy integrations do not write on every request
+  await pool.query(
+    `UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $2
+     WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '1 minute')`,
+    [key.id, req.ip || null]
+  );
 
-    const availableCols = await getTableColumns('jobs');
-    const candidateFields = {
-      title,
-      department,
-      description,
-      required_skills: requiredSkillsArray,
-      requirements: requirementsArray,
-      status,
-      location,
-      job_type: normalizedJobType,
-      category,
-      language,
-      client_id: Number.isNaN(normalizedClientId) ? null : normalizedClientId,
-      company: normalizedCompanyName,
-    };
+  return { id: key.id, name: key.name, scopes: key.scopes };
+}
 
-    const updates = [];
-    const values = [];
-    let param = 0;
+// --------------------------------------------
+// Sessions: short-lived access tokens backed by revocable refresh sessions
+// --------------------------------------------
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
-    for (const [key, value] of Object.entries(candidateFields)) {
-      if (value !== undefined && availableCols.includes(key)) {
-        param += 1;
-        updates.push(`${key} = $${param}`);
-        values.push(value);
-      }
-    }
+const signAccessToken = (accountType, account, sessionId) =>
+  jwt.sign({ id: account.id, email: account.email, type: accountType, sid: sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
 
-    if (updates.length === 0) {
-      return res.status(400).json({ error: 'No fields to update' });
-    }
+// Starts a new session (one per login/device) and returns its access and refresh tokens
+async function createSession(accountType, account, req) {
+  const sessionId = uuidv4();
+  const refreshToken = `${sessionId}.${generateSecureToken()}`;
+  await pool.query(
+    `INSERT INTO auth_sessions (id, account_type, account_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW() + ($7 * INTERVAL '1 day'))`,
+    [
+      sessionId,
+      accountType,
+      account.id,
+      hashToken(refreshToken),
+      req.headers['user-agent'] || null,
+      req.ip || null,
+      REFRESH_TOKEN_TTL_DAYS
+    ]
+  );
+  return { token: signAccessToken(accountType, account, sessionId), refreshToken };
+}
 
-    updates.push(`updated_at = NOW()`);
-    param += 1;
-    values.push(id);
+async function revokeSession(sessionId) {
+  await pool.query('UPDATE auth_sessions SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL', [sessionId]);
+}
 
-    const result = await pool.query(
-      `UPDATE jobs SET ${updates.join(', ')} WHERE id = $${param} RETURNING *`,
-      values
-    );
+// Revokes every session of an account ("log out all devices"), optionally keeping one
+async function revokeAllSessions(accountType, accountId, exceptSessionId = null) {
+  const result = await pool.query(
+    `UPDATE auth_sessions SET revoked_at = NOW()
+     WHERE account_type = $1 AND account_id = $2 AND revoked_at IS NULL
+       AND ($3::uuid IS NULL OR id <> $3::uuid)`,
+    [accountType, accountId, exceptSessionId]
+  );
+  return result.rowCount;
+}
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Job not found' });
-    }
+// Verifies an access token and checks that its session is still active.
+// Throws on a bad signature or expiry; returns null for revoked or unknown sessions.
+async function verifySessionToken(token) {
+  const decoded = jwt.verify(token, JWT_SECRET);
+  if (!decoded.sid || !UUID_PATTERN.test(decoded.sid)) {
+    return null;
+  }
+  const session = await pool.query(
+    'SELECT id FROM auth_sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()',
+    [decoded.sid]
+  );
+  return session.rows.length > 0 ? decoded : null;
+}
+
+const tokenErrorResponse = (error) =>
+  error.name === 'TokenExpiredError' ? { error: 'Token expired' } : { error: 'Invalid token' };
 
-    res.json({ job: result.rows[0] });
+// Middleware: Verify JWT Token
+const verifyToken = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return res.status(401).json({ error: 'No token provided' });
+  }
+  let decoded;
+  try {
+    decoded = await verifySessionToken(token);
   } catch (error) {
-    console.error('Update job error:', error);
-    res.status(500).json({ error: 'Internal server error', message: error.message });
+    return res.status(401).json(tokenErrorResponse(error));
   }
-});
+  if (!decoded) {
+    return res.status(401).json({ error: 'Session has been revoked' });
+  }
+  req.user = decoded;
+  next();
+};
 
-// Delete Job (Admin Only)
-app.delete('/api/jobs/:id', verifyAdmin, async (req, res) => {
+// Middleware: Verify Admin Token
+const verifyAdmin = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token) {
+    return res.status(401).json({ error: 'No token provided' });
+  }
+  let decoded;
   try {
-    const { id } = req.params;
-    const result = await pool.query('DELETE FROM jobs WHERE id = $1 RETURNING id', [id]);
-
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Job not found' });
-    }
-
-    res.json({ success: true, message: 'Job deleted successfully', id: parseInt(id) });
+    decoded = await verifySessionToken(token);
   } catch (error) {
-    console.error('Delete job error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    return res.status(401).json(tokenErrorResponse(error));
   }
-});
-
-// Get Applications for a Job (Admin Only)
-app.get('/api/jobs/:jobId/applications', verifyAdmin, async (req, res) => {
+  if (!decoded) {
+    return res.status(401).json({ error: 'Session has been revoked' });
+  }
+  let role;
   try {
-    const { jobId } = req.params;
-    const result = await pool.query(
-      `SELECT 
-        a.*,
-        u.full_name,
-        u.email
-      FROM applications a
-      LEFT JOIN users u ON a.user_id = u.id
-      WHERE a.job_id = $1
-      ORDER BY a.created_at DESC`,
-      [jobId]
-    );
-
-    res.json({
-      applications: result.rows,
-      count: result.rows.length
-    });
+    role = decoded.type === 'admin' ? await getAdminRole(decoded.id) : null;
   } catch (error) {
-    console.error('Get job applications error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Verify admin error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
   }
-});
+  if (!role) {
+    return res.status(401).json({ error: 'Admin access required' });
+  }
+  req.admin = { ...decoded, role, permissions: ADMIN_ROLES[role]?.permissions || [] };
+  next();
+};
 
-// Generate Job Ad (Admin Only)
-app.post('/api/jobs/generate-ad', verifyAdmin, async (req, res) => {
+// Middleware factory: accept an API key, or fall back to the given JWT middleware.
+// The key is exposed as req.apiKey and its scopes stand in for role permissions.
+const acceptApiKey = (verifyJwt) => async (req, res, next) => {
+  const apiKey = extractApiKey(req);
+  if (!apiKey) {
+    return verifyJwt(req, res, next);
+  }
+  let key;
   try {
-    const { description } = req.body;
-    
-    if (!description) {
-      return res.status(400).json({ error: 'description is required' });
-    }
-
-    // Use OpenAI if available, otherwise return placeholder
-    if (openai) {
-      try {
-        const completion = await openai.chat.completions.create({
-          model: 'gpt-3.5-turbo',
-          messages: [
-            {
-              role: 'system',
-              content: 'You are a job posting expert. Generate a structured job posting from the given description. Return a JSON object with: title, company (optional), department, location (optional), job_type (optional), category (optional), language (optional), description, required_skills (array), and requirements (array).'
-            },
-            {
-              role: 'user',
-              content: `Generate a job posting from this description: ${description}`
-            }
-          ],
-          temperature: 0.7,
-          max_tokens: 1000
-        });
+    key = await authenticateApiKey(apiKey, req);
+  } catch (error) {
+    console.error('Verify API key error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+  if (!key) {
+    return res.status(401).json({ error: 'Invalid API key' });
+  }
+  req.apiKey = key;
+  next();
+};
 
-        const aiResponse = completion.choices[0]?.message?.content;
-        let jobAd;
-        
-        try {
-          // Try to parse JSON response
-          jobAd = JSON.parse(aiResponse);
-        } catch (e) {
-          // If not JSON, create structured response from text
-          jobAd = {
-            title: description.split(' ').slice(0, 5).join(' ') + ' Position',
-            company: null,
-            department: null,
-            location: null,
-            job_type: null,
-            category: null,
-            language: null,
-            status: null,
-            description: aiResponse || description,
-            required_skills: [],
-            requirements: []
-          };
-        }
+const verifyAdminOrApiKey = acceptApiKey(verifyAdmin);
+const verifyTokenOrApiKey = acceptApiKey(verifyToken);
 
-        res.json({ jobAd });
-      } catch (aiError) {
-        console.error('OpenAI API error:', aiError);
-        // Fallback to placeholder
-        const jobAd = {
-          title: description.split(' ').slice(0, 5).join(' ') + ' Position',
-          company: null,
-          department: null,
-          location: null,
-          job_type: null,
-          category: null,
-          language: null,
-          status: null,
-          description: description || '',
-          required_skills: [],
-          requirements: []
-        };
-        res.json({ jobAd });
-      }
-    } else {
-      // Placeholder response when OpenAI is not configured
-      const jobAd = {
-        title: description ? description.split(' ').slice(0, 5).join(' ') + ' Position' : 'New Position',
-        company: null,
-        department: null,
-        location: null,
-        job_type: null,
-        category: null,
-        language: null,
-        status: null,
-        description: description || '',
-        required_skills: [],
-        requirements: []
-      };
-      res.json({ jobAd });
-    }
-  } catch (error) {
-    console.error('Generate job ad error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+// Middleware: only candidate (users table) accounts may continue (use after verifyToken)
+const requireCandidate = (req, res, next) => {
+  if (req.user.type !== 'user') {
+    return res.status(403).json({ error: 'Candidate account required' });
   }
-});
+  next();
+};
 
-// Get XML Feed for Job Portal
-app.get('/api/jobs/:id/xml-feed/:portal', async (req, res) => {
+// Middleware: block unverified candidates when REQUIRE_VERIFIED_EMAIL_TO_APPLY is on (use after verifyToken)
+const requireVerifiedEmail = async (req, res, next) => {
+  if (!REQUIRE_VERIFIED_EMAIL_TO_APPLY) return next();
+  let verified;
   try {
-    const { id, portal } = req.params;
-    const result = await pool.query(
-      `SELECT 
-        j.*,
-        COALESCE(j.company, c.company) AS company,
-        c.company AS client_company
-      FROM jobs j 
-      LEFT JOIN clients c ON j.client_id = c.id 
-      WHERE j.id = $1`,
-      [id]
-    );
+    const result = await pool.query('SELECT verified_at FROM users WHERE id = $1', [req.user.id]);
+    verified = req.user.type === 'user' && Boolean(result.rows[0]?.verified_at);
+  } catch (error) {
+    console.error('Verify email status error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+  if (!verified) {
+    return res.status(403).json({ error: 'Please verify your email address before applying' });
+  }
+  next();
+};
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Job not found' });
-    }
+// Middleware: require a permission from the admin's role (use after verifyAdmin)
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.apiKey || req.admin, permission)) {
+    return res.status(403).json({ error: 'Insufficient permissions', required_permission: permission });
+  }
+  next();
+};
 
-    const job = result.rows[0];
-    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n<job>\n';
-    xml += `  <title>${escapeXml(job.title)}</title>\n`;
-    xml += `  <description>${escapeXml(job.description || '')}</description>\n`;
-    if (job.company) xml += `  <company>${escapeXml(job.company)}</company>\n`;
-    if (job.location) xml += `  <location>${escapeXml(job.location)}</location>\n`;
-    xml += '</job>';
+// Who is behind a request authenticated by verifyAdminOrApiKey, for audit records
+const requestActor = (req) => {
+  if (req.apiKey) return { type: 'api_key', id: req.apiKey.id, label: req.apiKey.name };
+  if (req.admin) return { type: 'admin', id: req.admin.id, label: req.admin.email || null };
+  return { type: 'system', id: null, label: null };
+};
 
-    res.set('Content-Type', 'application/xml');
-    res.send(xml);
-  } catch (error) {
-    console.error('XML feed error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+// --------------------------------------------
+// Helper: cache table columns to handle older schemas gracefully
+// --------------------------------------------
+const tableColumnsCache = {};
 
-function escapeXml(unsafe) {
-  return unsafe.replace(/[<>&'"]/g, (c) => {
-    switch (c) {
-      case '<': return '&lt;';
-      case '>': return '&gt;';
-      case '&': return '&amp;';
-      case '\'': return '&apos;';
-      case '"': return '&quot;';
-      default: return c;
+const getTableColumns = async (tableName) => {
+  if (tableColumnsCache[tableName]) return tableColumnsCache[tableName];
+  const result = await pool.query(
+    `SELECT column_name FROM information_schema.columns WHERE table_name = $1`,
+    [tableName]
+  );
+  const cols = result.rows.map((r) => r.column_name);
+  tableColumnsCache[tableName] = cols;
+  return cols;
+};
+
+// --------------------------------------------
+// Helper: run several queries in one transaction on a dedicated client
+// --------------------------------------------
+const withTransaction = async (work) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// --------------------------------------------
+// GDPR data export: JSON document plus the original resume files, packed as a ZIP
+// --------------------------------------------
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
     }
-  });
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC32_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Builds a ZIP archive in memory from [{ name, data }] (data is a Buffer or string)
+const createZipArchive = (files, date = new Date()) => {
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(String(file.data), 'utf8');
+    const deflated = zlib.deflateRawSync(data);
+    // Already-compressed files (PDF, DOCX) are stored as-is when deflate does not help
+    const method = deflated.length < data.length ? 8 : 0;
+    const body = method === 8 ? deflated : data;
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6); // UTF-8 file names
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(dosTime, 10);
+    local.writeUInt16LE(dosDate, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(dosTime, 12);
+    central.writeUInt16LE(dosDate, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, body);
+    centralParts.push(central, name);
+    offset += local.length + name.length + body.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+const safeArchiveName = (filename, fallback) =>
+  String(filename || fallback).replace(/[\\/:*?"<>|\x00-\x1f]+/g, '_').slice(-120);
+
+// Gathers everything stored about a candidate; returns null when the user does not exist
+async function collectCandidateData(userId) {
+  const userResult = await pool.query(
+    'SELECT id, full_name, email, phone, verified_at, verification_sent_at, created_at FROM users WHERE id = $1',
+    [userId]
+  );
+  if (userResult.rows.length === 0) return null;
+  const user = userResult.rows[0];
+
+  const [applications, applicants, profileChanges, sessions, loginAttempts] = await Promise.all([
+    pool.query(
+      `SELECT a.*, j.title AS job_title
+       FROM applications a
+       LEFT JOIN jobs j ON a.job_id = j.id
+       WHERE a.user_id = $1
+       ORDER BY a.created_at`,
+      [userId]
+    ),
+    // Resume-parsing uploads are not linked to an account, so they are matched by email
+    pool.query('SELECT * FROM applicants WHERE LOWER(email) = LOWER($1) ORDER BY created_at', [user.email]),
+    pool.query(
+      `SELECT field, old_value, new_value, changed_by_type, created_at
+       FROM user_profile_changes WHERE user_id = $1 ORDER BY created_at`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at
+       FROM auth_sessions WHERE account_type = 'user' AND account_id = $1 ORDER BY created_at`,
+      [userId]
+    ),
+    pool.query(
+      `SELECT ip_address, success, created_at
+       FROM login_attempts WHERE account_type = 'user' AND email = $1 ORDER BY created_at`,
+      [normalizeLoginEmail(user.email)]
+    )
+  ]);
+
+  const files = [];
+  // Replaces the resume bytes of a row with the path of the file inside the archive
+  const extractResume = (row, prefix) => {
+    const { resume_data, ...rest } = row;
+    if (!resume_data) return { ...rest, resume_file: null };
+    const filePath = `resumes/${prefix}-${row.id}-${safeArchiveName(row.resume_filename, 'resume')}`;
+    files.push({ name: filePath, data: resume_data });
+    return { ...rest, resume_file: filePath };
+  };
+
+  const document = {
+    exported_at: new Date().toISOString(),
+    user,
+    applications: applications.rows.map((row) => extractResume(row, 'application')),
+    applicants: applicants.rows.map((row) => extractResume(row, 'applicant')),
+    profile_changes: profileChanges.rows,
+    sessions: sessions.rows,
+    login_attempts: loginAttempts.rows
+  };
+
+  return { document, files };
 }
 
-// ============================================
-// APPLICATIONS APIs
-// ============================================
+// Sends the candidate's data export as a ZIP download
+async function sendCandidateExport(res, userId) {
+  const data = await collectCandidateData(userId);
+  if (!data) {
+    return res.status(404).json({ error: 'User not found' });
+  }
 
-// Create Application (User)
-app.post('/api/applications', verifyToken, upload.single('resume'), async (req, res) => {
-  try {
-    const { job_id, cover_letter, name, email, phone, ai_parsed_data } = req.body;
+  const archive = createZipArchive([
+    { name: 'data.json', data: JSON.stringify(data.document, null, 2) },
+    ...data.files
+  ]);
+  const stamp = new Date().toISOString().slice(0, 10);
 
-    if (!job_id) {
-      return res.status(400).json({ error: 'job_id is required' });
-    }
+  res.set('Content-Type', 'application/zip');
+  res.set('Content-Disposition', `attachment; filename="jobspeedy-data-export-${userId}-${stamp}.zip"`);
+  res.send(archive);
+}
 
-    if (!req.file) {
-      return res.status(400).json({ error: 'resume file is required' });
+// --------------------------------------------
+// Right to erasure: scrub a candidate's personal data but keep anonymized rows for statistics
+// --------------------------------------------
+const ERASED_USER_NAME = 'Erased user';
+
+// Keyed hash of the erased email: it can confirm a known address was erased, but unlike a plain
+// SHA-256 it cannot be reversed by hashing candidate addresses without ERASURE_CERTIFICATE_KEY
+const erasureEmailHash = (email) =>
+  crypto.createHmac('sha256', ERASURE_CERTIFICATE_KEY).update(`erasure-email:${email}`).digest('hex');
+
+// Signs the certificate contents so a stored certificate can later be shown to be unaltered.
+// Summary keys are sorted because JSONB does not keep their order.
+const signErasureCertificate = ({ user_id, email_hash, erased_at, summary }) =>
+  crypto
+    .createHmac('sha256', ERASURE_CERTIFICATE_KEY)
+    .update(JSON.stringify({
+      user_id,
+      email_hash,
+      erased_at: new Date(erased_at).toISOString(),
+      summary: Object.fromEntries(Object.entries(summary).sort(([a], [b]) => a.localeCompare(b)))
+    }))
+    .digest('hex');
+
+// Erases a candidate in one transaction and returns { certificate },
+// { alreadyErased: true, certificate } or null when the user does not exist
+async function eraseCandidate(userId, actor, reason = null) {
+  // An unusable password, so the anonymized account can never sign in again
+  const lockedPasswordHash = await bcrypt.hash(generateSecureToken(), 10);
+
+  return withTransaction(async (client) => {
+    const userResult = await client.query('SELECT id, email, erased_at FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    if (userResult.rows.length === 0) return null;
+    const user = userResult.rows[0];
+
+    if (user.erased_at) {
+      const existing = await client.query(
+        'SELECT * FROM erasure_certificates WHERE user_id = $1 ORDER BY erased_at DESC LIMIT 1',
+        [user.id]
+      );
+      return { alreadyErased: true, certificate: existing.rows[0] || null };
     }
 
-    // Check if user already applied
-    const existingApp = await pool.query(
-      'SELECT id FROM applications WHERE user_id = $1 AND job_id = $2',
-      [req.user.id, job_id]
+    const email = normalizeLoginEmail(user.email);
+    const erasedAt = new Date();
+
+    await client.query(
+      `UPDATE users
+       SET full_name = $1, email = $2, phone = NULL, password_hash = $3,
+           verified_at = NULL, verification_sent_at = NULL, erased_at = $4
+       WHERE id = $5`,
+      [ERASED_USER_NAME, `erased-${user.id}@erased.invalid`, lockedPasswordHash, erasedAt, user.id]
     );
 
-    if (existingApp.rows.length > 0) {
-      return res.status(409).json({ error: 'You have already applied for this job' });
-    }
+    // Applications keep job, status and dates for the dashboard; parsed data keeps only skills
+    const applications = await client.query(
+      `UPDATE applications
+       SET resume_url = NULL, resume_filename = NULL, resume_mime = NULL, resume_data = NULL,
+           cover_letter = NULL, admin_notes = NULL,
+           ai_parsed_data = CASE WHEN ai_parsed_data ? 'skills'
+                                 THEN jsonb_build_object('skills', ai_parsed_data->'skills')
+                                 ELSE NULL END,
+           updated_at = NOW()
+       WHERE user_id = $1`,
+      [user.id]
+    );
 
-    // Parse AI data if provided
-    let parsedData = null;
-    if (ai_parsed_data) {
-      try {
-        parsedData = typeof ai_parsed_data === 'string' ? JSON.parse(ai_parsed_data) : ai_parsed_data;
-      } catch (e) {
-        console.error('Error parsing AI data:', e);
+    const applicants = await client.query(
+      `UPDATE applicants
+       SET name = NULL, email = NULL, phone = NULL, experience = NULL, education = NULL,
+           resume_filename = NULL, resume_mime = NULL, resume_data = NULL
+       WHERE LOWER(email) = $1`,
+      [email]
+    );
+
+    const profileChanges = await client.query(
+      'UPDATE user_profile_changes SET old_value = NULL, new_value = NULL WHERE user_id = $1',
+      [user.id]
+    );
+
+    // Deleting the sessions also signs the candidate out everywhere
+    const sessions = await client.query(
+      "DELETE FROM auth_sessions WHERE account_type = 'user' AND account_id = $1",
+      [user.id]
+    );
+    await client.query("DELETE FROM password_reset_tokens WHERE account_type = 'user' AND account_id = $1", [user.id]);
+    const loginAttempts = await client.query(
+      "DELETE FROM login_attempts WHERE account_type = 'user' AND email = $1",
+      [email]
+    );
+    await client.query("DELETE FROM account_lockouts WHERE account_type = 'user' AND email = $1", [email]);
+
+    const summary = {
+      applications_anonymized: applications.rowCount,
+      applicants_anonymized: applicants.rowCount,
+      profile_changes_scrubbed: profileChanges.rowCount,
+      sessions_deleted: sessions.rowCount,
+      login_attempts_deleted: loginAttempts.rowCount
+    };
+    const emailHash = erasureEmailHash(email);
+    const signature = signErasureCertificate({ user_id: user.id, email_hash: emailHash, erased_at: erasedAt, summary });
+
+    const certificate = await client.query(
+      `INSERT INTO erasure_certificates
+         (user_id, email_hash, requested_by_type, requested_by_id, reason, summary, signature, erased_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [user.id, emailHash, actor.type, actor.id, reason, JSON.stringify(summary), signature, erasedAt]
+    );
+
+    return { certificate: certificate.rows[0] };
+  });
+}
+
+// --------------------------------------------
+// Geocoding: pluggable lookups from a place name to coordinates
+// --------------------------------------------
+// Each geocoder receives a place name and resolves to { latitude, longitude, name, country } or null.
+const GEO_MAX_RADIUS_KM = 20000; // half the earth's circumference
+const GEOCODE_CACHE_SIZE = 1000;
+// Location text that means "no fixed place"; it is stored as jobs.is_remote instead
+const REMOTE_LOCATION_PATTERN = /\b(remote|home[\s-]?office|work from home|wfh|anywhere)\b/i;
+const stripRemoteWords = (text) => String(text || '').replace(new RegExp(REMOTE_LOCATION_PATTERN.source, 'gi'), ' ').trim();
+
+// Splits location text into { location, is_remote }. Text that only says "Remote" is not kept as a location.
+const splitRemoteLocation = (location) => {
+  const isRemote = REMOTE_LOCATION_PATTERN.test(location || '');
+  const hasPlace = /[\p{L}\p{N}]/u.test(stripRemoteWords(location));
+  return { location: isRemote && !hasPlace ? null : location, is_remote: isRemote };
+};
+
+// Lower-cased without accents; German umlauts are also indexed as ae/oe/ue, so "München",
+// "Munchen" and "Muenchen" all find the same city
+const normalizePlaceName = (name) =>
+  String(name).toLowerCase().replace(/ß/g, 'ss').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+const transliterateUmlauts = (name) =>
+  String(name).toLowerCase().replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue');
+
+let gazetteerIndex = null;
+
+// Loads the gazetteer on first use: [{ name, country, lat, lng, aliases }]
+const getGazetteerIndex = () => {
+  if (!gazetteerIndex) {
+    const index = new Map();
+    for (const city of JSON.parse(fs.readFileSync(GEOCODER_GAZETTEER_FILE, 'utf8'))) {
+      const place = { latitude: city.lat, longitude: city.lng, name: city.name, country: city.country };
+      for (const name of [city.name, ...(city.aliases || [])]) {
+        for (const key of [normalizePlaceName(name), normalizePlaceName(transliterateUmlauts(name))]) {
+          if (!index.has(key)) index.set(key, place);
+        }
       }
     }
+    gazetteerIndex = index;
+  }
+  return gazetteerIndex;
+};
 
-    const result = await pool.query(
-      `INSERT INTO applications (user_id, job_id, resume_data, resume_filename, resume_mime, cover_letter, ai_parsed_data)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING id, user_id, job_id, resume_url, resume_filename, resume_mime, cover_letter, status, ai_parsed_data, admin_notes, created_at, updated_at`,
-      [
-        req.user.id,
-        job_id,
-        req.file.buffer,
-        req.file.originalname,
-        req.file.mimetype,
-        cover_letter || null,
-        parsedData ? JSON.stringify(parsedData) : null
-      ]
-    );
+let nominatimNextRequestAt = 0;
 
-    res.status(201).json({ application: result.rows[0] });
-  } catch (error) {
-    console.error('Create application error:', error);
-    res.status(500).json({ error: 'Internal server error', message: error.message });
+// Waits for the next free Nominatim slot. Slots are taken before waiting, so concurrent callers
+// (a bulk geocode run and job saves) are spaced out too.
+const waitForNominatimSlot = async () => {
+  const now = Date.now();
+  const slot = Math.max(now, nominatimNextRequestAt);
+  nominatimNextRequestAt = slot + GEOCODER_NOMINATIM_INTERVAL_MS;
+  if (slot > now) await new Promise((resolve) => setTimeout(resolve, slot - now));
+};
+
+const geocoders = {
+  // Offline default. Tries the text before the first comma, then ever shorter runs of its leading
+  // words, so "Berlin-Mitte" and "Frankfurt am Main, Hessen" resolve to their city.
+  gazetteer: async (place) => {
+    const index = getGazetteerIndex();
+    const words = normalizePlaceName(String(place).split(',')[0]).split(' ').filter(Boolean);
+    for (let length = words.length; length > 0; length--) {
+      const match = index.get(words.slice(0, length).join(' '));
+      if (match) return match;
+    }
+    return null;
+  },
+
+  // OpenStreetMap Nominatim, or a self-hosted instance at GEOCODER_NOMINATIM_URL. The public
+  // service allows about one request per second, so prefer it for occasional lookups only.
+  nominatim: async (place) => {
+    await waitForNominatimSlot();
+    const url = `${GEOCODER_NOMINATIM_URL}/search?format=jsonv2&limit=1&q=${encodeURIComponent(place)}`;
+    const response = await fetch(url, {
+      headers: { 'User-Agent': `${JOB_SOURCE_NAME} job geocoder` },
+      signal: AbortSignal.timeout(5000)
+    });
+    if (!response.ok) {
+      throw new Error(`Nominatim responded with ${response.status}`);
+    }
+    const [result] = await response.json();
+    return result
+      ? { latitude: parseFloat(result.lat), longitude: parseFloat(result.lon), name: result.display_name, country: null }
+      : null;
   }
-});
+};
 
-// Get All Applications (Admin Only)
-app.get('/api/applications', verifyAdmin, async (req, res) => {
-  try {
-    const { status, user_id, job_id, limit, offset } = req.query;
+const geocodeCache = new Map();
 
-    // Explicitly select columns to avoid BYTEA serialization issues
-    // Exclude resume_data (BYTEA) as it's binary and causes JSON issues
-    // Simplified: removed j.department as it may not exist in all databases
-    let query = `
-      SELECT 
-        a.id,
-        a.user_id,
-        a.job_id,
-        a.resume_url,
-        a.resume_filename,
-        a.resume_mime,
-        a.cover_letter,
-        a.status,
-        a.ai_parsed_data,
-        a.admin_notes,
-        a.created_at,
-        a.updated_at,
-        u.full_name,
-        u.email as user_email,
-        j.title as job_title
-      FROM applications a
-      LEFT JOIN users u ON a.user_id = u.id
-      LEFT JOIN jobs j ON a.job_id = j.id
-      WHERE 1=1
-    `;
-    const params = [];
-    let paramCount = 0;
+// Resolves a place name with the configured (or the given) geocoder; remote markers in the text
+// are ignored. Results (misses included) are cached in memory.
+async function geocodePlace(place, geocoderName = GEOCODER) {
+  const text = stripRemoteWords(place);
+  if (!/[\p{L}\p{N}]/u.test(text)) return null;
 
-    // Build count query (same filters, no pagination)
-    let countQuery = `
-      SELECT COUNT(*) as count
-      FROM applications a
-      WHERE 1=1
-    `;
-    const countParams = [];
-    let countParamCount = 0;
+  const key = `${geocoderName}:${text.toLowerCase()}`;
+  if (geocodeCache.has(key)) return geocodeCache.get(key);
 
-    if (status) {
-      paramCount++;
-      countParamCount++;
-      query += ` AND a.status = $${paramCount}`;
-      countQuery += ` AND a.status = $${countParamCount}`;
-      params.push(status);
-      countParams.push(status);
+  const geocoder = geocoders[geocoderName];
+  if (!geocoder) {
+    throw new Error(`Unknown geocoder: ${geocoderName}`);
+  }
+  const result = await geocoder(text);
+  if (geocodeCache.size >= GEOCODE_CACHE_SIZE) {
+    geocodeCache.delete(geocodeCache.keys().next().value);
+  }
+  geocodeCache.set(key, result);
+  return result;
+}
+
+// Great-circle distance in km between the job row `j` and the given SQL expressions (haversine)
+const distanceKmSql = (latitude, longitude) =>
+  `(12742 * ASIN(LEAST(1, SQRT(
+      POWER(SIN(RADIANS(j.latitude - ${latitude}) / 2), 2) +
+      COS(RADIANS(${latitude})) * COS(RADIANS(j.latitude)) * POWER(SIN(RADIANS(j.longitude - ${longitude}) / 2), 2)
+    ))))`;
+
+// Reads the radius search of the job listing: lat/lng or a place name (`near`), plus `radius` in km.
+// Anonymous callers could otherwise make the server send a request to an external geocoder each,
+// so `near` only uses the configured GEOCODER with `trusted` set and the offline gazetteer otherwise.
+// Returns { geo } (null when no centre was given) or { status, error }.
+async function resolveJobGeoFilter(query, { trusted = false } = {}) {
+  let latitude = parseFloat(query.lat);
+  let longitude = parseFloat(query.lng);
+  let place = null;
+
+  if (query.lat !== undefined || query.lng !== undefined) {
+    if (!(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+      return { status: 400, error: 'lat and lng must both be given as valid coordinates' };
     }
-    if (user_id) {
-      paramCount++;
-      countParamCount++;
-      query += ` AND a.user_id = $${paramCount}`;
-      countQuery += ` AND a.user_id = $${countParamCount}`;
-      params.push(user_id);
-      countParams.push(user_id);
+  } else if (query.near) {
+    try {
+      place = await geocodePlace(query.near, trusted ? GEOCODER : 'gazetteer');
+    } catch (error) {
+      console.error('Geocode place error:', error);
+      return { status: 503, error: 'Place lookup is unavailable; try again later or search by lat and lng' };
     }
-    if (job_id) {
-      paramCount++;
-      countParamCount++;
-      query += ` AND a.job_id = $${paramCount}`;
-      countQuery += ` AND a.job_id = $${countParamCount}`;
-      params.push(job_id);
-      countParams.push(job_id);
+    if (!place) {
+      return { status: 400, error: `Unknown place: ${query.near}` };
     }
+    ({ latitude, longitude } = place);
+  } else {
+    return { geo: null };
+  }
 
-    query += ' ORDER BY a.created_at DESC';
+  const radiusKm = query.radius === undefined ? JOB_GEO_DEFAULT_RADIUS_KM : parseFloat(query.radius);
+  if (!(radiusKm > 0 && radiusKm <= GEO_MAX_RADIUS_KM)) {
+    return { status: 400, error: `radius must be a distance in km between 0 and ${GEO_MAX_RADIUS_KM}` };
+  }
 
-    if (limit) {
-      paramCount++;
-      query += ` LIMIT $${paramCount}`;
-      params.push(parseInt(limit));
-    }
-    if (offset) {
-      paramCount++;
-      query += ` OFFSET $${paramCount}`;
-      params.push(parseInt(offset));
+  return {
+    geo: {
+      latitude,
+      longitude,
+      radiusKm,
+      includeRemote: query.include_remote === 'true',
+      place: place ? place.name : null
     }
+  };
+}
 
-    const [result, countResult] = await Promise.all([
-      pool.query(query, params),
-      pool.query(countQuery, countParams)
-    ]);
-
-    // Parse JSONB fields if they exist
-    const applications = result.rows.map(row => {
-      const app = { ...row };
-      // Parse ai_parsed_data if it's a string
-      if (app.ai_parsed_data && typeof app.ai_parsed_data === 'string') {
-        try {
-          app.ai_parsed_data = JSON.parse(app.ai_parsed_data);
-        } catch (e) {
-          // Keep as string if parsing fails
-        }
-      }
-      return app;
-    });
+// Fills latitude/longitude of job fields from their location when it changed and no coordinates
+// were given. A place the geocoder cannot resolve, or a geocoder outage, leaves them empty rather
+// than failing the save; POST /api/admin/jobs/geocode can fill them in later.
+async function geocodeJobLocation(fields, current = null) {
+  if (fields.latitude !== undefined || fields.location === undefined) return fields;
+  if (current && fields.location === current.location && current.latitude !== null) return fields;
 
-    res.json({
-      applications: applications,
-      count: parseInt(countResult.rows[0]?.count || 0)
-    });
+  let point = null;
+  try {
+    point = await geocodePlace(fields.location);
   } catch (error) {
-    console.error('Get applications error:', error);
-    console.error('Error details:', {
-      message: error.message,
-      code: error.code,
-      detail: error.detail,
-      hint: error.hint
-    });
-    res.status(500).json({ 
-      error: 'Internal server error',
-      message: error.message,
-      details: process.env.NODE_ENV === 'development' ? {
-        code: error.code,
-        detail: error.detail,
-        hint: error.hint
-      } : undefined
-    });
+    console.error('Geocode job location error:', error);
   }
-});
+  return { ...fields, latitude: point ? point.latitude : null, longitude: point ? point.longitude : null };
+}
 
-// Get Single Application
-app.get('/api/applications/:id', verifyToken, async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    // Check if user is admin or owns the application
-    const isAdmin = await pool.query('SELECT id FROM admin_users WHERE id = $1', [req.user.id]);
-    const result = await pool.query('SELECT * FROM applications WHERE id = $1', [id]);
+// --------------------------------------------
+// Job salaries: min/max amounts in an ISO 4217 currency per hourly, monthly or yearly period
+// --------------------------------------------
+// Factor that turns an amount of each period into a yearly one (2080 = 40 hours x 52 weeks)
+const SALARY_PERIOD_YEARLY_FACTORS = { hourly: 2080, monthly: 12, yearly: 1 };
+// schema.org unitText of each period
+const SALARY_PERIOD_UNITS = { hourly: 'HOUR', monthly: 'MONTH', yearly: 'YEAR' };
+const ISO_CURRENCY_CODES = new Set(Intl.supportedValuesOf('currency'));
+const JOB_SALARY_FIELDS = ['salary_min', 'salary_max', 'salary_currency', 'salary_period'];
+const SALARY_AMOUNT_FIELDS = ['salary_min', 'salary_max'];
+
+// pg returns NUMERIC columns as strings to keep their precision; the salary amounts of a job row
+// are turned into numbers wherever the row is compared, stored in a revision or sent out
+const withSalaryAmounts = (job) => {
+  const amounts = SALARY_AMOUNT_FIELDS.filter((field) => typeof job[field] === 'string');
+  return amounts.length === 0 ? job : { ...job, ...Object.fromEntries(amounts.map((field) => [field, parseFloat(job[field])])) };
+};
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Application not found' });
+// SQL for a salary amount of the job row `j` converted to a yearly figure
+const yearlySalarySql = (amount) =>
+  `(${amount} * CASE j.salary_period ${Object.entries(SALARY_PERIOD_YEARLY_FACTORS)
+    .map(([period, factor]) => `WHEN '${period}' THEN ${factor}`)
+    .join(' ')} ELSE 1 END)`;
+
+// Validates the salary fields of a job payload. `current` is the stored job when updating, so a
+// new salary_max is checked against the stored salary_min. Any amount needs a currency; the
+// period defaults to yearly. Returns { error } or { fields } to save.
+const normalizeJobSalary = (body, current = {}) => {
+  const fields = {};
+  const raw = (field, alias) => (body[field] !== undefined ? body[field] : body[alias]);
+
+  for (const [field, alias] of [['salary_min', 'salaryMin'], ['salary_max', 'salaryMax']]) {
+    const value = raw(field, alias);
+    if (value === undefined) continue;
+    if (value === null || value === '') {
+      fields[field] = null;
+      continue;
+    }
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount < 0) {
+      return { error: `${field} must be a non-negative number` };
     }
+    fields[field] = Math.round(amount * 100) / 100;
+  }
 
-    const application = result.rows[0];
-    
-    // If not admin, check if user owns the application
-    if (isAdmin.rows.length === 0 && application.user_id !== req.user.id) {
-      return res.status(403).json({ error: 'Access denied' });
+  const currency = raw('salary_currency', 'salaryCurrency');
+  if (currency === null || currency === '') {
+    fields.salary_currency = null;
+  } else if (currency !== undefined) {
+    const code = String(currency).trim().toUpperCase();
+    if (!ISO_CURRENCY_CODES.has(code)) {
+      return { error: 'salary_currency must be an ISO 4217 currency code such as EUR' };
     }
+    fields.salary_currency = code;
+  }
 
-    res.json({ application });
-  } catch (error) {
-    console.error('Get application error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  const period = raw('salary_period', 'salaryPeriod');
+  if (period === null || period === '') {
+    fields.salary_period = null;
+  } else if (period !== undefined) {
+    const value = String(period).trim().toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(SALARY_PERIOD_YEARLY_FACTORS, value)) {
+      return { error: `salary_period must be one of: ${Object.keys(SALARY_PERIOD_YEARLY_FACTORS).join(', ')}` };
+    }
+    fields.salary_period = value;
   }
-});
-
-// Update Application (Admin Only)
-app.put('/api/applications/:id', verifyAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { status, admin_notes } = req.body;
 
-    const updates = [];
-    const values = [];
-    let paramCount = 0;
+  const visible = raw('salary_visible', 'salaryVisible');
+  if (visible !== undefined) {
+    fields.salary_visible = toBoolean(visible);
+    if (fields.salary_visible === null) {
+      return { error: 'salary_visible must be true or false' };
+    }
+  }
 
-    if (status !== undefined) {
-      paramCount++;
-      updates.push(`status = $${paramCount}`);
-      values.push(status);
+  const merged = withSalaryAmounts({ ...current, ...fields });
+  const min = merged.salary_min ?? null;
+  const max = merged.salary_max ?? null;
+  if (min !== null && max !== null && min > max) {
+    return { error: 'salary_min must not be greater than salary_max' };
+  }
+  if (min !== null || max !== null) {
+    if (!merged.salary_currency) {
+      return { error: 'salary_currency is required with a salary' };
     }
-    if (admin_notes !== undefined) {
-      paramCount++;
-      updates.push(`admin_notes = $${paramCount}`);
-      values.push(admin_notes);
+    if (!merged.salary_period) {
+      fields.salary_period = 'yearly';
     }
+  }
 
-    if (updates.length === 0) {
-      return res.status(400).json({ error: 'No fields to update' });
-    }
+  return { fields };
+};
 
-    paramCount++;
-    updates.push(`updated_at = NOW()`);
-    paramCount++;
-    values.push(id);
+// Blanks the salary of a job whose salary_visible flag is off (for public responses)
+const withoutHiddenSalary = (job) =>
+  job.salary_visible === false ? { ...job, ...Object.fromEntries(JOB_SALARY_FIELDS.map((field) => [field, null])) } : job;
 
-    const result = await pool.query(
-      `UPDATE applications SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
-      values
-    );
+// --------------------------------------------
+// Job lifecycle: the statuses of a job and the actions that move it between them
+// --------------------------------------------
+// Scheduled is an Open job waiting for its publish_at; which of the two a job is in follows its
+// dates. The scheduler opens Scheduled jobs and closes Scheduled, Open and Paused jobs at expires_at.
+const JOB_STATUSES = ['Draft', 'Pending Approval', 'Scheduled', 'Open', 'Paused', 'Closed', 'Filled', 'Archived'];
+
+// Jobs in these statuses do not exist for the public
+const JOB_UNPUBLISHED_STATUSES = ['Draft', 'Pending Approval', 'Scheduled', 'Archived'];
+
+const JOB_DEFAULT_STATUS = JOB_APPROVAL_REQUIRED ? 'Draft' : 'Open';
+
+// Statuses a new job may be created in; with approval required it cannot open without an approval
+const JOB_INITIAL_STATUSES = JOB_APPROVAL_REQUIRED
+  ? ['Draft', 'Pending Approval']
+  : ['Draft', 'Pending Approval', 'Scheduled', 'Open'];
+
+// `to: 'Open'` ends up Scheduled while publish_at lies in the future. `bypassesApproval` actions are
+// not available with JOB_APPROVAL_REQUIRED, and a reason is mandatory where `reasonRequired` is set.
+const JOB_LIFECYCLE_ACTIONS = {
+  submit: { from: ['Draft'], to: 'Pending Approval', permission: 'jobs:write' },
+  approve: { from: ['Pending Approval'], to: 'Open', permission: 'jobs:approve' },
+  reject: { from: ['Pending Approval'], to: 'Draft', permission: 'jobs:approve', reasonRequired: true },
+  withdraw: { from: ['Pending Approval', 'Scheduled'], to: 'Draft', permission: 'jobs:write' },
+  publish: { from: ['Draft'], to: 'Open', permission: 'jobs:write', bypassesApproval: true },
+  pause: { from: ['Open'], to: 'Paused', permission: 'jobs:write' },
+  resume: { from: ['Paused'], to: 'Open', permission: 'jobs:write' },
+  close: { from: ['Scheduled', 'Open', 'Paused'], to: 'Closed', permission: 'jobs:write' },
+  fill: { from: ['Open', 'Paused', 'Closed'], to: 'Filled', permission: 'jobs:write' },
+  reopen: { from: ['Closed', 'Filled'], to: 'Open', permission: 'jobs:write' },
+  archive: { from: ['Draft', 'Closed', 'Filled'], to: 'Archived', permission: 'jobs:write' },
+  unarchive: { from: ['Archived'], to: 'Closed', permission: 'jobs:write' }
+};
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Application not found' });
-    }
+// Spellings written before the lifecycle existed, keyed like statusKey
+const JOB_STATUS_ALIASES = {
+  active: 'Open',
+  published: 'Open',
+  onhold: 'Paused',
+  expired: 'Closed',
+  pending: 'Pending Approval'
+};
 
-    res.json({ application: result.rows[0] });
-  } catch (error) {
-    console.error('Update application error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+const statusKey = (value) => String(value).toLowerCase().replace(/[\s_-]+/g, '');
+
+// The canonical status for any casing or spacing ('open', 'OPEN', 'pending_approval'), or null
+const normalizeJobStatus = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const key = statusKey(value);
+  return JOB_STATUSES.find((status) => statusKey(status) === key) || JOB_STATUS_ALIASES[key] || null;
+};
+
+// The action that moves a job from one status to another, or null when none does. Open and
+// Scheduled only differ by publish_at, so moving between them is not a lifecycle change.
+const findJobLifecycleAction = (from, to) => {
+  const published = (status) => (status === 'Scheduled' ? 'Open' : status);
+  return (
+    Object.keys(JOB_LIFECYCLE_ACTIONS).find(
+      (name) => JOB_LIFECYCLE_ACTIONS[name].from.includes(from) && JOB_LIFECYCLE_ACTIONS[name].to === published(to)
+    ) || null
+  );
+};
+
+// Why the request may not run the action on the job, as { status, error }, or null when it may.
+// An approval has to come from someone else than whoever submitted the job.
+async function jobLifecycleActionError(db, req, job, name, reason) {
+  const action = JOB_LIFECYCLE_ACTIONS[name];
+  if (!hasPermission(req.apiKey || req.admin, action.permission)) {
+    return { status: 403, error: 'Insufficient permissions', required_permission: action.permission };
   }
-});
+  if (!action.from.includes(job.status)) {
+    return { status: 409, error: `A job that is ${job.status} cannot be moved with ${name}` };
+  }
+  if (action.bypassesApproval && JOB_APPROVAL_REQUIRED) {
+    return { status: 409, error: 'Jobs need an approval before they open; submit the job for approval instead' };
+  }
+  if (action.reasonRequired && !reason) {
+    return { status: 400, error: `A reason is required to ${name} a job` };
+  }
+  if (name === 'approve') {
+    const actor = requestActor(req);
+    const submitted = await db.query(
+      `SELECT actor_type, actor_id FROM job_status_transitions
+       WHERE job_id = $1 AND to_status = 'Pending Approval'
+       ORDER BY created_at DESC, id DESC LIMIT 1`,
+      [job.id]
+    );
+    const submitter = submitted.rows[0];
+    if (submitter && submitter.actor_type === actor.type && submitter.actor_id === actor.id) {
+      return { status: 403, error: 'A job cannot be approved by whoever submitted it' };
+    }
+  }
+  return null;
+}
 
-// Delete Application (Admin Only)
-app.delete('/api/applications/:id', verifyAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await pool.query('DELETE FROM applications WHERE id = $1 RETURNING id', [id]);
+// Logs a status change; call inside the transaction that changed the job
+async function recordJobStatusTransition(db, jobId, { from = null, to, action, reason = null }, actor) {
+  const result = await db.query(
+    `INSERT INTO job_status_transitions
+       (job_id, from_status, to_status, action, reason, actor_type, actor_id, actor_label)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING *`,
+    [jobId, from, to, action, reason, actor.type, actor.id ?? null, actor.label ?? null]
+  );
+  return result.rows[0];
+}
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Application not found' });
+// The reason given with a status change, from `reason` or the PUT alias `status_reason`
+const statusChangeReason = (body) => {
+  const reason = body?.reason ?? body?.status_reason;
+  return typeof reason === 'string' && reason.trim() ? reason.trim() : null;
+};
+
+// --------------------------------------------
+// Job listing: shared filters and ranked full-text search
+// --------------------------------------------
+// Must match the expression of idx_jobs_search in database_schema.sql so the GIN index is used
+const JOB_SEARCH_DOCUMENT =
+  'job_search_document(j.title, j.department, j.description, j.requirements, j.required_skills, j.language)';
+const JOB_SEARCH_MAX_TERMS = 20;
+const JOB_SEARCH_HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=10';
+
+// Jobs visible to the public: past drafts and approval, not archived and not waiting for their publish date
+const JOB_PUBLISHED_CONDITION = `j.status NOT IN (${JOB_UNPUBLISHED_STATUSES.map((status) => `'${status}'`).join(', ')})
+  AND (j.publish_at IS NULL OR j.publish_at <= NOW())`;
+
+// Query parameters of GET /api/jobs that filter on a column by exact value
+const JOB_LISTING_FILTERS = ['location', 'job_type', 'category', 'status', 'department', 'language'];
+
+// Columns that GET /api/jobs?facets=true reports per-value counts for
+const JOB_FACETS = ['location', 'job_type', 'category', 'department', 'language', 'status'];
+
+// Turns free text into to_tsquery syntax: words are ANDed, "quoted phrases" must appear in order,
+// a trailing * matches prefixes, a leading - excludes a term and OR separates alternatives.
+// Punctuation other than . _ - inside words (node.js, full-time) is dropped, so user input can
+// never produce invalid tsquery syntax.
+// Returns null when nothing searchable is left.
+const buildJobSearchQuery = (search) => {
+  if (typeof search !== 'string') return null;
+
+  const alternatives = [[]];
+  let termCount = 0;
+  const tokenPattern = /(-?)"([^"]*)"?|(\S+)/g;
+  let match;
+  while ((match = tokenPattern.exec(search)) !== null && termCount < JOB_SEARCH_MAX_TERMS) {
+    const isPhrase = match[2] !== undefined;
+    let raw = isPhrase ? match[2] : match[3];
+    let negate = match[1] === '-';
+
+    if (!isPhrase) {
+      if (raw === 'OR' || raw === '|') {
+        if (alternatives[alternatives.length - 1].length > 0) alternatives.push([]);
+        continue;
+      }
+      if (raw.startsWith('-')) {
+        negate = true;
+        raw = raw.slice(1);
+      }
     }
 
-    res.json({ success: true, message: 'Application deleted successfully' });
-  } catch (error) {
-    console.error('Delete application error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+    const isPrefix = !isPhrase && raw.endsWith('*');
+    const words = raw
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}._-]+/u)
+      .map((word) => word.replace(/^[._-]+|[._-]+$/g, ''))
+      .filter(Boolean);
+    if (words.length === 0) continue;
+    if (isPrefix) words[words.length - 1] += ':*';
 
-// ============================================
-// USERS (CANDIDATES) APIs
-// ============================================
+    const term = words.length > 1 ? `(${words.join(' <-> ')})` : words[0];
+    alternatives[alternatives.length - 1].push(negate ? `!${term}` : term);
+    termCount++;
+  }
 
-// Get All Users (Admin Only)
-app.get('/api/users', verifyAdmin, async (req, res) => {
-  try {
-    const result = await pool.query(
-      'SELECT id, full_name, email, phone, created_at FROM users ORDER BY created_at DESC'
-    );
+  const groups = alternatives
+    .filter((terms) => terms.length > 0)
+    .map((terms) => (terms.length > 1 ? `(${terms.join(' & ')})` : terms[0]));
+  return groups.length > 0 ? groups.join(' | ') : null;
+};
 
-    res.json({ users: result.rows });
-  } catch (error) {
-    console.error('Get users error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+// Builds the WHERE clause of the job listing from its query parameters. Values are appended to
+// params; searchQuery is the SQL tsquery expression when a search term was given.
+// `skip` leaves one column filter out (each facet ignores its own filter). Unpublished jobs are
+// left out unless includeUnpublished is set, and salary filters only match visible salaries
+// unless includeHiddenSalaries is set. `geo` is a radius search from resolveJobGeoFilter; `distance`
+// is then the SQL expression of each job's distance in km.
+const buildJobsFilter = (
+  query,
+  params,
+  { skip = null, includeUnpublished = false, includeHiddenSalaries = false, geo = null } = {}
+) => {
+  const conditions = ['1=1'];
+  if (!includeUnpublished) {
+    conditions.push(JOB_PUBLISHED_CONDITION);
   }
-});
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
 
-// Get User by ID (Admin Only)
-app.get('/api/users/:id', verifyAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await pool.query(
-      'SELECT id, full_name, email, phone, created_at FROM users WHERE id = $1',
-      [id]
-    );
+  let searchQuery = null;
+  const tsquery = buildJobSearchQuery(query.search);
+  if (tsquery) {
+    searchQuery = `job_search_tsquery(${addParam(tsquery)})`;
+    conditions.push(`${JOB_SEARCH_DOCUMENT} @@ ${searchQuery}`);
+  }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+  for (const field of JOB_LISTING_FILTERS) {
+    if (query[field] && field !== skip) {
+      const value = field === 'status' ? normalizeJobStatus(query[field]) || query[field] : query[field];
+      conditions.push(`j.${field} = ${addParam(value)}`);
     }
+  }
 
-    res.json({ user: result.rows[0] });
-  } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  // salary_min / salary_max match jobs whose range overlaps them, compared as yearly amounts;
+  // salary_period says which period the given amounts are in (default yearly)
+  const salaryFactor = SALARY_PERIOD_YEARLY_FACTORS[String(query.salary_period || 'yearly').toLowerCase()];
+  const salaryMin = parseFloat(query.salary_min);
+  const salaryMax = parseFloat(query.salary_max);
+  const salaryFiltered = query.salary_currency || (salaryFactor && (!Number.isNaN(salaryMin) || !Number.isNaN(salaryMax)));
+  if (salaryFiltered && !includeHiddenSalaries) {
+    conditions.push('j.salary_visible');
+  }
+  if (salaryFactor && !Number.isNaN(salaryMin)) {
+    conditions.push(`${yearlySalarySql('COALESCE(j.salary_max, j.salary_min)')} >= ${addParam(salaryMin * salaryFactor)}`);
+  }
+  if (salaryFactor && !Number.isNaN(salaryMax)) {
+    conditions.push(`${yearlySalarySql('COALESCE(j.salary_min, j.salary_max)')} <= ${addParam(salaryMax * salaryFactor)}`);
+  }
+  if (query.salary_currency) {
+    conditions.push(`j.salary_currency = ${addParam(String(query.salary_currency).toUpperCase())}`);
   }
-});
 
-// Delete User (Admin Only)
-app.delete('/api/users/:id', verifyAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await pool.query('DELETE FROM users WHERE id = $1 RETURNING id', [id]);
+  const remote = toBoolean(query.remote);
+  if (remote !== null) {
+    conditions.push(`j.is_remote = ${addParam(remote)}`);
+  }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+  // The latitude range (one degree is about 111 km) lets the index narrow rows before the exact distance
+  let distance = null;
+  if (geo) {
+    const latitude = `${addParam(geo.latitude)}::float8`;
+    const longitude = `${addParam(geo.longitude)}::float8`;
+    const radius = `${addParam(geo.radiusKm)}::float8`;
+    distance = distanceKmSql(latitude, longitude);
+    const withinRadius = `(j.latitude BETWEEN ${latitude} - ${radius} / 111.0 AND ${latitude} + ${radius} / 111.0
+      AND ${distance} <= ${radius})`;
+    conditions.push(geo.includeRemote ? `(j.is_remote OR ${withinRadius})` : withinRadius);
+  }
 
-    // Frontend expects at least { success: true } on successful delete
-    res.json({ success: true, message: 'User deleted successfully', id: parseInt(id) });
-  } catch (error) {
-    console.error('Delete user error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  return { where: conditions.join(' AND '), searchQuery, distance };
+};
+
+// Counts jobs per value of every facet in a single query. The search, salary and radius filters run once
+// in a CTE; each facet then applies all other column filters but not its own, so its counts show
+// what picking another value would return.
+async function getJobFacets(query, { includeUnpublished = false, includeHiddenSalaries = false, geo = null } = {}) {
+  const params = [];
+  const columnFilters = Object.fromEntries(JOB_LISTING_FILTERS.map((field) => [field, query[field]]));
+  const otherFilters = { ...query, ...Object.fromEntries(JOB_LISTING_FILTERS.map((field) => [field, undefined])) };
+  const search = buildJobsFilter(otherFilters, params, { includeUnpublished, includeHiddenSalaries, geo });
+
+  const selects = JOB_FACETS.map((field) => {
+    const { where } = buildJobsFilter(columnFilters, params, { skip: field, includeUnpublished: true });
+    return `(SELECT '${field}' AS facet, j.${field} AS value, COUNT(*) AS count
+        FROM matched j
+        WHERE ${where} AND j.${field} IS NOT NULL AND j.${field} <> ''
+        GROUP BY j.${field})`;
+  });
+
+  const result = await pool.query(
+    `WITH matched AS (
+       SELECT ${JOB_FACETS.map((field) => `j.${field}`).join(', ')}
+       FROM jobs j
+       WHERE ${search.where}
+     )
+     ${selects.join('\n     UNION ALL\n     ')}
+     ORDER BY facet, count DESC, value`,
+    params
+  );
+
+  const facets = Object.fromEntries(JOB_FACETS.map((field) => [field, []]));
+  for (const row of result.rows) {
+    facets[row.facet].push({ value: row.value, count: parseInt(row.count) });
   }
-});
+  return facets;
+}
 
-// Get User Applications (Admin Only)
-app.get('/api/users/:id/applications', verifyAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await pool.query(
-      `SELECT 
-        a.id,
-        a.user_id,
-        a.job_id,
-        j.title as job_title,
-        j.description as job_description,
-        a.status,
-        a.resume_url,
-        a.resume_filename,
-        a.ai_parsed_data,
-        a.created_at
-      FROM applications a
-      LEFT JOIN jobs j ON a.job_id = j.id
-      WHERE a.user_id = $1
-      ORDER BY a.created_at DESC`,
-      [id]
-    );
+// Jobs the public must not see yet (or any more); JS twin of JOB_PUBLISHED_CONDITION
+const isUnpublishedJob = (job) =>
+  JOB_UNPUBLISHED_STATUSES.includes(job.status) || Boolean(job.publish_at && new Date(job.publish_at) > new Date());
 
-    res.json({ applications: result.rows });
+// Whether the request may see unpublished jobs and hidden salaries: admins and API keys with
+// jobs:read. Public job routes stay open, so a missing or bad token just means "public".
+async function canSeeUnpublishedJobs(req) {
+  try {
+    const apiKey = extractApiKey(req);
+    if (apiKey) {
+      return hasPermission(await authenticateApiKey(apiKey, req), 'jobs:read');
+    }
+    const token = req.headers.authorization?.split(' ')[1];
+    if (!token) return false;
+    const decoded = await verifySessionToken(token);
+    if (decoded?.type !== 'admin') return false;
+    const role = await getAdminRole(decoded.id);
+    return hasPermission({ permissions: ADMIN_ROLES[role]?.permissions || [] }, 'jobs:read');
   } catch (error) {
-    console.error('Get user applications error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    return false;
   }
-});
+}
 
-// Get Anonymized PDF (Admin Only)
-app.get('/api/users/:id/anonymized-pdf', verifyAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const userResult = await pool.query('SELECT * FROM users WHERE id = $1', [id]);
-    
-    if (userResult.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+// Validates publish_at / expires_at of a job payload and derives its status: any casing of a status
+// is accepted, and a job whose publish_at lies in the future is 'Scheduled' until the scheduler
+// opens it. `current` is the stored job when updating. Returns { error } or { fields } to save.
+const normalizeJobSchedule = (body, current = {}) => {
+  const fields = {};
+  for (const [field, alias] of [['publish_at', 'publishAt'], ['expires_at', 'expiresAt']]) {
+    const raw = body[field] !== undefined ? body[field] : body[alias];
+    if (raw === undefined) continue;
+    if (raw === null || raw === '') {
+      fields[field] = null;
+      continue;
+    }
+    const date = new Date(raw);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `${field} must be a valid date` };
     }
+    fields[field] = date;
+  }
 
-    // This is a placeholder - you would generate a PDF here
-    // For now, return a simple text response
-    res.set('Content-Type', 'application/pdf');
-    res.send('PDF generation not implemented yet');
-  } catch (error) {
-    console.error('Get anonymized PDF error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  const now = new Date();
+  const publishAt = 'publish_at' in fields ? fields.publish_at : current.publish_at ? new Date(current.publish_at) : null;
+  const expiresAt = 'expires_at' in fields ? fields.expires_at : current.expires_at ? new Date(current.expires_at) : null;
+  if (publishAt && expiresAt && expiresAt <= publishAt) {
+    return { error: 'expires_at must be after publish_at' };
   }
-});
 
-// ============================================
-// CLIENTS APIs
-// ============================================
+  const requested = [undefined, null, ''].includes(body.status) ? undefined : normalizeJobStatus(body.status);
+  if (requested === null) {
+    return { error: `status must be one of: ${JOB_STATUSES.join(', ')}` };
+  }
+  let status = requested || current.status || JOB_DEFAULT_STATUS;
+  if (status === 'Open' || status === 'Scheduled') {
+    if (publishAt && publishAt > now) {
+      status = 'Scheduled';
+    } else if (status === 'Scheduled') {
+      // Explicitly asking for Scheduled needs a date; a publish date that was cleared or has passed publishes now
+      if (!publishAt && requested === 'Scheduled') {
+        return { error: 'Scheduled jobs need a publish_at date' };
+      }
+      status = 'Open';
+    }
+    // A job that opens again must not be past its expiry date either
+    const reopening = current.status && current.status !== 'Open' && current.status !== 'Scheduled';
+    if (expiresAt && expiresAt <= now && (fields.expires_at || reopening)) {
+      return { error: 'expires_at must be in the future for an open job' };
+    }
+  }
+  if (body.status !== undefined || status !== current.status) {
+    fields.status = status;
+  }
 
-// Get All Clients (Admin Only)
-app.get('/api/clients', verifyAdmin, async (req, res) => {
-  try {
-    const result = await pool.query(
-      `SELECT 
-        c.*,
-        COUNT(j.id) as jobs_count
-      FROM clients c
-      LEFT JOIN jobs j ON c.id = j.client_id
-      GROUP BY c.id
-      ORDER BY c.created_at DESC`
-    );
+  return { fields };
+};
 
-    // Map DB shape to frontend expectations:
-    // - expose "name" derived from "company"
-    // - expose a simple "status" field (clients table doesn't have status, so default to 'active')
-    const clients = result.rows.map((c) => ({
-      ...c,
-      name: c.company,
-      status: 'active' // Clients table doesn't have status column, default to 'active'
-    }));
+// Boolean input from JSON or form fields: true/false, 1/0 or their strings; null when it is neither
+const toBoolean = (value) => {
+  if ([true, 'true', 1, '1'].includes(value)) return true;
+  if ([false, 'false', 0, '0'].includes(value)) return false;
+  return null;
+};
 
-    res.json({ clients });
-  } catch (error) {
-    console.error('Get clients error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+// List input as an array: accepts an array, a JSON array string, or comma/newline separated text
+const toStringList = (value) => {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string') return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return value
+      .split(/,|\n/)
+      .map((item) => item.trim())
+      .filter(Boolean);
   }
-});
+};
 
-// Create Client (Admin Only)
-app.post('/api/clients', verifyAdmin, async (req, res) => {
-  try {
-    const { company, contact_person, email } = req.body;
+// Turns a job payload into column values, accepting the aliases the frontend sends. `current` is
+// null when creating (required fields are checked, missing ones get defaults) and the stored job
+// when updating (missing fields stay undefined and are not touched). Returns { error } or { fields }.
+const normalizeJobInput = (body, current = null) => {
+  const isUpdate = current !== null;
+  const { title, department, description, requirements, location, category, language, company, company_name } = body;
 
-    if (!company) {
-      return res.status(400).json({ error: 'company is required' });
-    }
+  if (!isUpdate && (!title || !department)) {
+    return { error: 'title and department are required' };
+  }
 
-    const result = await pool.query(
-      'INSERT INTO clients (company, contact_person, email) VALUES ($1, $2, $3) RETURNING *',
-      [company, contact_person || null, email || null]
-    );
+  // A null alias falls through to the next one, as the routes always did
+  const requiredSkills =
+    body.required_skills ?? body.requiredSkills ?? body.skills ?? body.skills_text ?? body.skillsText;
+  const jobType = body.job_type || body.type;
+
+  // client_id may also arrive as company_id or as a numeric company
+  const numericCompany =
+    company !== undefined && company !== null && company !== '' && !Number.isNaN(Number(company))
+      ? Number(company)
+      : undefined;
+  const candidateClientId =
+    body.client_id !== undefined ? body.client_id : body.company_id !== undefined ? body.company_id : numericCompany;
+  let clientId;
+  if (candidateClientId !== undefined || !isUpdate) {
+    clientId = candidateClientId === undefined || candidateClientId === null || candidateClientId === ''
+      ? null
+      : Number(candidateClientId);
+    if (Number.isNaN(clientId)) clientId = null;
+  }
 
-    res.status(201).json({ client: result.rows[0] });
-  } catch (error) {
-    if (error.code === '23505') { // Unique violation
-      return res.status(409).json({ error: 'Company already exists' });
+  // A company name comes from company_name or a non-numeric company
+  let companyName;
+  if (company_name !== undefined && company_name !== null && company_name !== '') {
+    companyName = company_name;
+  } else if (typeof company === 'string' && company.trim() !== '' && numericCompany === undefined) {
+    companyName = company;
+  } else if (company_name !== undefined || company !== undefined || !isUpdate) {
+    companyName = null;
+  }
+
+  // Remote work is a flag rather than a place; unless is_remote is given, it follows the location text
+  const remoteLocation = splitRemoteLocation(location);
+  const jobLocation = location === undefined ? undefined : remoteLocation.location;
+  let isRemote;
+  const remote = [body.is_remote, body.isRemote, body.remote].find((value) => value !== undefined);
+  if (remote !== undefined) {
+    isRemote = toBoolean(remote);
+    if (isRemote === null) {
+      return { error: 'is_remote must be true or false' };
     }
-    console.error('Create client error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+  } else if (location !== undefined || !isUpdate) {
+    isRemote = remoteLocation.is_remote;
   }
-});
 
-// Update Client (Admin Only)
-app.put('/api/clients/:id', verifyAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { company, contact_person, email } = req.body;
+  // Explicit coordinates win over geocoding the location; both empty clears them
+  let latitude;
+  let longitude;
+  if (body.latitude !== undefined || body.longitude !== undefined) {
+    const isBlank = (value) => value === undefined || value === null || value === '';
+    if (isBlank(body.latitude) && isBlank(body.longitude)) {
+      latitude = null;
+      longitude = null;
+    } else {
+      latitude = isBlank(body.latitude) ? NaN : Number(body.latitude);
+      longitude = isBlank(body.longitude) ? NaN : Number(body.longitude);
+      if (!(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+        return { error: 'latitude and longitude must both be valid coordinates' };
+      }
+    }
+  }
 
-    const updates = [];
-    const values = [];
-    let paramCount = 0;
+  const schedule = normalizeJobSchedule(body, current || {});
+  if (schedule.error) return schedule;
+  if (!isUpdate && !JOB_INITIAL_STATUSES.includes(schedule.fields.status)) {
+    return { error: `New jobs start as one of: ${JOB_INITIAL_STATUSES.join(', ')}` };
+  }
+  const salary = normalizeJobSalary(body, current || {});
+  if (salary.error) return salary;
 
-    if (company !== undefined) {
-      paramCount++;
-      updates.push(`company = $${paramCount}`);
-      values.push(company);
-    }
-    if (contact_person !== undefined) {
-      paramCount++;
-      updates.push(`contact_person = $${paramCount}`);
-      values.push(contact_person);
-    }
-    if (email !== undefined) {
-      paramCount++;
-      updates.push(`email = $${paramCount}`);
-      values.push(email);
-    }
-
-    if (updates.length === 0) {
-      return res.status(400).json({ error: 'No fields to update' });
+  const orNull = (value) => (isUpdate ? value : value || null);
+  return {
+    fields: {
+      title,
+      department,
+      description: orNull(description),
+      requirements: requirements !== undefined || !isUpdate ? toStringList(requirements) : undefined,
+      required_skills: requiredSkills !== undefined || !isUpdate ? toStringList(requiredSkills) : undefined,
+      created_by: isUpdate ? undefined : body.created_by || 'Admin',
+      client_id: clientId,
+      company: companyName,
+      location: orNull(jobLocation),
+      is_remote: isRemote,
+      latitude,
+      longitude,
+      job_type: orNull(jobType),
+      category: orNull(category),
+      language: orNull(language),
+      ...schedule.fields,
+      ...salary.fields
     }
+  };
+};
 
-    paramCount++;
-    values.push(id);
-
-    const result = await pool.query(
-      `UPDATE clients SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
-      values
+// --------------------------------------------
+// Job scheduler: opens Scheduled jobs at publish_at and closes jobs at expires_at
+// --------------------------------------------
+const JOB_SCHEDULER_LOCK_ID = 4180721; // advisory lock key shared by every server instance
+
+// One scheduler pass; returns null when another instance holds the lock
+async function runJobScheduler() {
+  return withTransaction(async (client) => {
+    const lock = await client.query('SELECT pg_try_advisory_xact_lock($1) AS locked', [JOB_SCHEDULER_LOCK_ID]);
+    if (!lock.rows[0].locked) return null;
+
+    // Publish first, so a job whose whole window has passed ends up Closed. Both changes are
+    // logged as status transitions by the system.
+    const published = await client.query(
+      `WITH published AS (
+         UPDATE jobs SET status = 'Open', updated_at = NOW()
+         WHERE status = 'Scheduled' AND publish_at <= NOW()
+         RETURNING id
+       ), logged AS (
+         INSERT INTO job_status_transitions (job_id, from_status, to_status, action, reason, actor_type)
+         SELECT id, 'Scheduled', 'Open', 'publish', 'publish_at reached', 'system' FROM published
+       )
+       SELECT id FROM published`
+    );
+    const expired = await client.query(
+      `WITH expiring AS (
+         SELECT id, status FROM jobs
+         WHERE status IN ('Scheduled', 'Open', 'Paused') AND expires_at <= NOW()
+         FOR UPDATE
+       ), expired AS (
+         UPDATE jobs j SET status = 'Closed', updated_at = NOW()
+         FROM expiring
+         WHERE j.id = expiring.id
+         RETURNING j.id, expiring.status AS from_status
+       ), logged AS (
+         INSERT INTO job_status_transitions (job_id, from_status, to_status, action, reason, actor_type)
+         SELECT id, from_status, 'Closed', 'expire', 'expires_at passed', 'system' FROM expired
+       )
+       SELECT id FROM expired`
     );
+    return { published: published.rows.map((row) => row.id), expired: expired.rows.map((row) => row.id) };
+  });
+}
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Client not found' });
+function startJobScheduler() {
+  if (!JOB_SCHEDULER_ENABLED) return;
+
+  const tick = async () => {
+    try {
+      const result = await runJobScheduler();
+      if (result && (result.published.length > 0 || result.expired.length > 0)) {
+        console.log(`Job scheduler: opened ${result.published.length} job(s), closed ${result.expired.length} job(s)`);
+      }
+    } catch (error) {
+      console.error('Job scheduler error:', error);
     }
+  };
 
-    res.json({ client: result.rows[0] });
-  } catch (error) {
-    console.error('Update client error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+  tick();
+  // unref() so the timer never keeps the process alive on its own
+  setInterval(tick, JOB_SCHEDULER_INTERVAL_SECONDS * 1000).unref();
+}
 
-// Delete Client (Admin Only)
-app.delete('/api/clients/:id', verifyAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await pool.query('DELETE FROM clients WHERE id = $1 RETURNING id', [id]);
+// --------------------------------------------
+// Job revisions: an immutable snapshot of the job after every change made through the API
+// --------------------------------------------
+const JOB_REVISION_OMITTED_FIELDS = ['id', 'created_at', 'updated_at'];
+// Left alone by a restore: the status only changes through lifecycle actions and the schedule, and
+// the lineage of a job never changes
+const JOB_RESTORE_SKIPPED_FIELDS = ['status', 'publish_at', 'expires_at', 'template_id', 'cloned_from_job_id'];
+const JOB_REVISION_SUMMARY_COLUMNS = `
+  id, job_id, revision_number, action, changed_fields, actor_type, actor_id, actor_label,
+  restored_from, created_at`;
+
+// The JSON round trip makes dates compare equal whether they come from pg or from JSONB
+function jobRevisionSnapshot(job) {
+  const snapshot = {};
+  for (const [field, value] of Object.entries(withSalaryAmounts(job))) {
+    if (!JOB_REVISION_OMITTED_FIELDS.includes(field)) snapshot[field] = value;
+  }
+  return JSON.parse(JSON.stringify(snapshot));
+}
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Client not found' });
-    }
+// Field-by-field differences between two snapshots, as [{ field, from, to }]
+function diffJobSnapshots(from, to) {
+  const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+  return fields
+    .filter((field) => JSON.stringify(from[field] ?? null) !== JSON.stringify(to[field] ?? null))
+    .map((field) => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+}
 
-    res.json({ message: 'Client deleted successfully', id: parseInt(id) });
-  } catch (error) {
-    console.error('Delete client error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+// Stores the job row as its next revision. Call inside the transaction that changed the job,
+// after the row was written (the row lock keeps revision numbers of one job sequential).
+// `previous` is the row before an update: a job from before revisions were kept gets it stored
+// as a baseline first, so its first diff shows what actually changed.
+async function recordJobRevision(db, job, action, actor, { previous = null, restoredFrom = null } = {}) {
+  const snapshot = jobRevisionSnapshot(job);
+  const latest = await db.query(
+    'SELECT revision_number, snapshot FROM job_revisions WHERE job_id = $1 ORDER BY revision_number DESC LIMIT 1',
+    [job.id]
+  );
+  let revisionNumber = latest.rows[0]?.revision_number || 0;
+  let base = latest.rows[0]?.snapshot || null;
+
+  if (!base && previous) {
+    base = jobRevisionSnapshot(previous);
+    revisionNumber += 1;
+    await db.query(
+      `INSERT INTO job_revisions (job_id, revision_number, action, snapshot, changed_fields, actor_type)
+       VALUES ($1, $2, 'baseline', $3, $4, 'system')`,
+      [job.id, revisionNumber, JSON.stringify(base), Object.keys(base)]
+    );
   }
-});
 
-// ============================================
-// APPLICANTS APIs (Resume Parsing)
-// ============================================
+  const changedFields = base ? diffJobSnapshots(base, snapshot).map((change) => change.field) : Object.keys(snapshot);
+  const result = await db.query(
+    `INSERT INTO job_revisions
+       (job_id, revision_number, action, snapshot, changed_fields, actor_type, actor_id, actor_label, restored_from)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING ${JOB_REVISION_SUMMARY_COLUMNS}`,
+    [
+      job.id,
+      revisionNumber + 1,
+      action,
+      JSON.stringify(snapshot),
+      changedFields,
+      actor.type,
+      actor.id ?? null,
+      actor.label ?? null,
+      restoredFrom
+    ]
+  );
+  return result.rows[0];
+}
 
-// Create/Parse Applicant Resume
-// Supports both file upload and JSON payload with parsed data
-app.post('/api/applicants', async (req, res) => {
-  try {
-    let resumeFile = null;
-    let resumeFilename = null;
-    let resumeMime = null;
-    let resumeData = null;
+// Inserts a job from normalized fields and records its first revision and status, the latter under
+// `statusAction`. Columns the jobs table lacks are skipped.
+async function insertJob(db, fields, actor, statusAction = 'create') {
+  const availableCols = await getTableColumns('jobs');
+  const columns = Object.keys(fields).filter((key) => fields[key] !== undefined && availableCols.includes(key));
+  const result = await db.query(
+    `INSERT INTO jobs (${columns.join(', ')}) VALUES (${columns.map((_, idx) => `$${idx + 1}`).join(', ')}) RETURNING *`,
+    columns.map((key) => fields[key])
+  );
+  const job = withSalaryAmounts(result.rows[0]);
+  await recordJobRevision(db, job, 'create', actor);
+  await recordJobStatusTransition(db, job.id, { to: job.status, action: statusAction }, actor);
+  return job;
+}
 
-    // Check if request is JSON with parsed data (from /api/parse-resume)
-    if (req.body && req.body.parsed && req.body.name && req.body.email) {
-      // Handle JSON payload with parsed resume data
-      const { name, email, phone, parsed } = req.body;
-      
-      // Extract data from parsed object
-      const skillsArray = parsed.skills || [];
-      const experienceArray = parsed.experience || [];
-      const education = parsed.education?.[0] ? 
-        `${parsed.education[0].degree || ''} ${parsed.education[0].institution || ''} ${parsed.education[0].year || ''}`.trim() :
-        (parsed.education || null);
-      
-      // Generate classification using OpenAI if available
-      let applicantClassification = {
-        stack: 'Full Stack',
-        percentage: 85,
-        role: 'Senior Developer',
-        reasoning: 'Based on skills and experience analysis'
-      };
+// --------------------------------------------
+// Job templates and cloning: new jobs from stored fields or from an existing job
+// --------------------------------------------
+// Job fields a template can hold and a clone copies; publishing dates and status are per job
+const JOB_TEMPLATE_FIELDS = [
+  'title', 'department', 'description', 'requirements', 'required_skills', 'job_type', 'category',
+  'language', 'location', 'is_remote', 'company', 'client_id',
+  'salary_min', 'salary_max', 'salary_currency', 'salary_period', 'salary_visible'
+];
+
+const pickJobTemplateFields = (source) =>
+  Object.fromEntries(
+    JOB_TEMPLATE_FIELDS.filter((field) => source[field] !== undefined && source[field] !== null).map((field) => [
+      field,
+      source[field]
+    ])
+  );
 
-      if (openai && (skillsArray.length > 0 || experienceArray.length > 0)) {
-        try {
-          const skillsText = skillsArray.join(', ');
-          const experienceText = experienceArray.map(exp => 
-            `${exp.title || exp.role || 'Role'} at ${exp.company || 'Company'}`
-          ).join(', ');
+// Validates the fields of a template with the same rules and aliases as POST /api/jobs; a template
+// does not need every required job field. Returns { error } or { fields }.
+const normalizeJobTemplateFields = (fields) => {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return { error: 'fields must be an object of job fields' };
+  }
+  const input = normalizeJobInput(fields, {});
+  if (input.error) return input;
+  return { fields: pickJobTemplateFields(input.fields) };
+};
 
-          const completion = await openai.chat.completions.create({
-            model: 'gpt-3.5-turbo',
-            messages: [
-              {
-                role: 'system',
-                content: 'You are a technical recruiter. Analyze the candidate\'s skills and experience, then classify them. Return a JSON object with: stack (e.g., "Full Stack", "Frontend", "Backend"), percentage (0-100 confidence score), role (e.g., "Senior Developer", "Junior Developer"), and reasoning (brief explanation).'
-              },
-              {
-                role: 'user',
-                content: `Skills: ${skillsText}\nExperience: ${experienceText}\n\nClassify this candidate.`
-              }
-            ],
-            temperature: 0.5,
-            max_tokens: 300
-          });
+// Normalizes a new job made of `base` fields (a template or the job being cloned) plus overrides
+// from the request, which accept every alias of POST /api/jobs and win over the base.
+// Returns { error } or { fields } ready for insertJob.
+const normalizeDerivedJobInput = (base, overrides = {}) => {
+  const changes = normalizeJobInput(overrides, base);
+  if (changes.error) return changes;
+  const defined = Object.fromEntries(Object.entries(changes.fields).filter(([, value]) => value !== undefined));
+
+  // A new location is geocoded again instead of keeping the base coordinates, and another
+  // client does not inherit the base's company name
+  const merged = { ...base, ...defined };
+  if (defined.location !== undefined && defined.latitude === undefined) {
+    delete merged.latitude;
+    delete merged.longitude;
+  }
+  if (defined.client_id !== undefined && defined.company === undefined) {
+    delete merged.company;
+  }
+  return normalizeJobInput(merged);
+};
 
-          const aiResponse = completion.choices[0]?.message?.content;
-          try {
-            const aiClassification = JSON.parse(aiResponse);
-            applicantClassification = {
-              stack: aiClassification.stack || applicantClassification.stack,
-              percentage: aiClassification.percentage || applicantClassification.percentage,
-              role: aiClassification.role || applicantClassification.role,
-              reasoning: aiClassification.reasoning || applicantClassification.reasoning
-            };
-          } catch (e) {
-            console.log('Could not parse AI classification, using default');
-          }
-        } catch (aiError) {
-          console.error('OpenAI classification error:', aiError);
-        }
+// --------------------------------------------
+// Job import and export: many jobs at once as CSV or JSON
+// --------------------------------------------
+// Columns of an export, in this order. An export can be imported again: the jobs keep their status
+// and dates (see importedJobInput), while id and the timestamps are ignored.
+const JOB_EXPORT_COLUMNS = [
+  'id', 'title', 'department', 'description', 'requirements', 'required_skills', 'status',
+  'client_id', 'company', 'location', 'is_remote', 'latitude', 'longitude', 'job_type', 'category',
+  'language', 'publish_at', 'expires_at', 'salary_min', 'salary_max', 'salary_currency',
+  'salary_period', 'salary_visible', 'created_at', 'updated_at'
+];
+
+const JOB_IMPORT_MODES = ['all_or_nothing', 'per_row'];
+
+// Spreadsheets run text starting with these as a formula: exports put a ' in front, imports drop it
+const CSV_FORMULA_PATTERN = /^[=+\-@]/;
+
+// Parses CSV (RFC 4180 quoting; the delimiter , ; or tab is whichever the header line has most of)
+// into one object per line, keyed by the header. Empty cells are left out so they get the same
+// defaults as a missing field.
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const headerLine = input.split(/\r?\n/, 1)[0];
+  const delimiter = [';', '\t'].reduce(
+    (best, candidate) => (headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best),
+    ','
+  );
+
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
       }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push(record);
+  }
 
-      const result = await pool.query(
-        `INSERT INTO applicants (name, email, phone, skills, experience, education, resume_filename, resume_mime, resume_data)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-         RETURNING id, name, email, phone, skills, experience, education, created_at`,
-        [
-          name,
-          email,
-          phone || null,
-          skillsArray,
-          JSON.stringify(experienceArray),
-          education,
-          parsed.contact?.name ? `${parsed.contact.name}_resume.pdf` : 'resume.pdf',
-          'application/pdf',
-          null // No file data when using JSON payload
-        ]
-      );
+  const [header = [], ...lines] = records.filter((cells) => cells.some((value) => value.trim() !== ''));
+  const columns = header.map((name) => name.trim());
+  return lines.map((cells) => {
+    const row = {};
+    columns.forEach((column, index) => {
+      const value = (cells[index] ?? '').trim();
+      if (!column || value === '') return;
+      row[column] = value.startsWith("'") && CSV_FORMULA_PATTERN.test(value.slice(1)) ? value.slice(1) : value;
+    });
+    return row;
+  });
+};
 
-      const applicant = result.rows[0];
-      applicant.classification = applicantClassification;
+// A CSV cell: lists as JSON arrays (items may contain commas), dates as ISO 8601, null as empty
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : Array.isArray(value) ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && CSV_FORMULA_PATTERN.test(text)) text = `'${text}`;
+  return /[",;\t\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
 
-      return res.status(201).json({ applicant });
+// The BOM makes spreadsheet programs read the file as UTF-8
+const toCsv = (columns, rows) =>
+  '\uFEFF' +
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(toCsvCell).join(','))
+    .join('\r\n') +
+  '\r\n';
+
+// The jobs of an import request: an uploaded CSV or JSON file (field `file`), a text/csv body, or a
+// JSON body that is an array of jobs or { "jobs": [...] }. Returns { error } or { rows }.
+const readJobImportRows = (req) => {
+  let data = req.body;
+  if (req.file) {
+    const text = req.file.buffer.toString('utf8');
+    if (req.file.mimetype === 'application/json' || /\.json$/i.test(req.file.originalname || '')) {
+      try {
+        data = JSON.parse(text);
+      } catch {
+        return { error: 'The uploaded file is not valid JSON' };
+      }
+    } else {
+      data = parseCsv(text);
     }
+  } else if (typeof req.body === 'string') {
+    data = parseCsv(req.body);
+  }
 
-    // Otherwise, handle file upload (multipart/form-data)
-    const uploadMiddleware = upload.single('resume');
-    
-    await new Promise((resolve, reject) => {
-      uploadMiddleware(req, res, (err) => {
-        if (err) {
-          if (err instanceof multer.MulterError) {
-            if (err.code === 'LIMIT_FILE_SIZE') {
-              return res.status(400).json({ 
-                error: 'File too large',
-                message: 'File size exceeds 10MB limit'
-              });
-            }
-            return res.status(400).json({ 
-              error: 'File upload error',
-              message: err.message
-            });
-          }
-          if (err.message && err.message.includes('Invalid file type')) {
-            return res.status(400).json({ 
-              error: 'Invalid file type',
-              message: err.message
-            });
-          }
-          return res.status(400).json({ 
-            error: 'File upload error',
-            message: err.message || 'Failed to process file upload'
-          });
-        }
-        resolve();
-      });
-    });
+  const rows = Array.isArray(data) ? data : data?.jobs;
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return { error: 'Send the jobs as a CSV or JSON file, a text/csv body, or a JSON array of jobs' };
+  }
+  if (rows.length > JOB_IMPORT_MAX_ROWS) {
+    return { error: `At most ${JOB_IMPORT_MAX_ROWS} jobs can be imported at once` };
+  }
+  if (rows.some((row) => !row || typeof row !== 'object' || Array.isArray(row))) {
+    return { error: 'Every job must be an object of job fields' };
+  }
+  return { rows };
+};
 
-    const { name, email, phone, skills, experience, education } = req.body;
+// Normalizes one import row like POST /api/jobs, except that it may hold any status and dates that
+// have passed, as an export does. Open and Scheduled still follow publish_at. With
+// JOB_APPROVAL_REQUIRED only importers who may approve jobs can import statuses other than Draft and
+// Pending Approval. Returns { error } or { fields }.
+const importedJobInput = (row, principal) => {
+  const status = normalizeJobStatus(row.status);
+  if (!status || status === 'Draft' || status === 'Pending Approval') {
+    return normalizeJobInput(row);
+  }
+  if (JOB_APPROVAL_REQUIRED && !hasPermission(principal, 'jobs:approve')) {
+    return { error: `Importing a job that is ${status} needs the jobs:approve permission` };
+  }
 
-    if (!name || !email) {
-      return res.status(400).json({ error: 'name and email are required' });
-    }
+  const input = normalizeJobInput({ ...row, status: 'Draft' });
+  if (input.error) return input;
+  const { publish_at: publishAt } = input.fields;
+  const published = status === 'Open' || status === 'Scheduled';
+  input.fields.status = published ? (publishAt && publishAt > new Date() ? 'Scheduled' : 'Open') : status;
+  return input;
+};
 
-    if (!req.file) {
-      return res.status(400).json({ error: 'resume file is required' });
-    }
+// Normalizes every row for the importing principal and checks that the clients it names exist.
+// Returns { row, fields } or { row, error } per row; row 1 is the first job (the line after a CSV header).
+async function validateJobImportRows(rows, principal) {
+  const results = rows.map((row, index) => ({ row: index + 1, ...importedJobInput(row, principal) }));
 
-    resumeFile = req.file;
-    resumeFilename = resumeFile.originalname;
-    resumeMime = resumeFile.mimetype;
-    resumeData = resumeFile.buffer;
+  const clientIds = [...new Set(results.map((result) => result.fields?.client_id).filter(Number.isInteger))];
+  const known = new Set();
+  if (clientIds.length > 0) {
+    const clients = await pool.query('SELECT id FROM clients WHERE id = ANY($1::int[])', [clientIds]);
+    clients.rows.forEach((client) => known.add(client.id));
+  }
+  return results.map((result) => {
+    const clientId = result.fields?.client_id;
+    if (clientId !== undefined && clientId !== null && !known.has(clientId)) {
+      return { row: result.row, error: `client_id ${clientId} does not exist` };
+    }
+    return result;
+  });
+}
 
-    let skillsArray = [];
-    if (skills) {
+// Inserts the valid rows, each in its own savepoint, so that a row the database rejects (a
+// constraint or data error) is reported instead of ending the import. A dry run, and an
+// all_or_nothing import with any failed row, roll back to the savepoint taken before the first row.
+// Returns one result per row: status 'created' (with job_id), 'valid' (dry run), 'rolled_back' or 'failed'.
+async function runJobImport(rows, { mode, dryRun }, actor) {
+  return withTransaction(async (client) => {
+    const results = [];
+    await client.query('SAVEPOINT job_import');
+    for (const { row, fields, error } of rows) {
+      if (error) {
+        results.push({ row, status: 'failed', error });
+        continue;
+      }
+      await client.query('SAVEPOINT job_import_row');
       try {
-        skillsArray = typeof skills === 'string' ? JSON.parse(skills) : skills;
-      } catch (e) {
-        skillsArray = Array.isArray(skills) ? skills : [];
+        const job = await insertJob(client, fields, actor, 'import');
+        await client.query('RELEASE SAVEPOINT job_import_row');
+        results.push(dryRun ? { row, status: 'valid' } : { row, status: 'created', job_id: job.id });
+      } catch (insertError) {
+        if (!/^2[23]/.test(insertError.code || '')) throw insertError;
+        await client.query('ROLLBACK TO SAVEPOINT job_import_row');
+        results.push({ row, status: 'failed', error: insertError.detail || insertError.message });
       }
     }
 
-    let experienceArray = [];
-    if (experience) {
-      try {
-        experienceArray = typeof experience === 'string' ? JSON.parse(experience) : experience;
-      } catch (e) {
-        experienceArray = Array.isArray(experience) ? experience : [];
+    const failed = results.some((result) => result.status === 'failed');
+    if (dryRun || (failed && mode === 'all_or_nothing')) {
+      await client.query('ROLLBACK TO SAVEPOINT job_import');
+      if (!dryRun) {
+        return results.map((result) => (result.status === 'created' ? { row: result.row, status: 'rolled_back' } : result));
       }
     }
+    return results;
+  });
+}
 
-    // Generate classification using OpenAI if available
-    let fileUploadClassification = {
-      stack: 'Full Stack',
-      percentage: 85,
-      role: 'Senior Developer',
-      reasoning: 'Based on skills and experience analysis'
-    };
+// --------------------------------------------
+// Job translations: per-language title, description and requirements of one job
+// --------------------------------------------
+// ISO 639-1 codes of language names that jobs.language may hold instead of a code
+const LANGUAGE_NAME_CODES = {
+  english: 'en', englisch: 'en',
+  german: 'de', deutsch: 'de',
+  french: 'fr', francais: 'fr', franzosisch: 'fr',
+  spanish: 'es', espanol: 'es', spanisch: 'es',
+  italian: 'it', italiano: 'it', italienisch: 'it',
+  dutch: 'nl', nederlands: 'nl', niederlandisch: 'nl',
+  portuguese: 'pt', portugues: 'pt', portugiesisch: 'pt',
+  polish: 'pl', polski: 'pl', polnisch: 'pl'
+};
 
-    if (openai && (skillsArray.length > 0 || experienceArray.length > 0)) {
-      try {
-        const skillsText = skillsArray.join(', ');
-        const experienceText = experienceArray.map(exp => 
-          `${exp.role || exp.title || 'Role'} at ${exp.company || 'Company'}`
-        ).join(', ');
+// Primary language subtag of a language tag or name: 'de-CH' and 'German' both become 'de'.
+// Returns null for anything else.
+const toLanguageCode = (value) => {
+  if (typeof value !== 'string') return null;
+  const text = value.trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  if (LANGUAGE_NAME_CODES[text]) return LANGUAGE_NAME_CODES[text];
+  const match = text.match(/^([a-z]{2,3})(?:[-_][a-z0-9]{1,8})*$/);
+  return match ? match[1] : null;
+};
 
-        const completion = await openai.chat.completions.create({
-          model: 'gpt-3.5-turbo',
-          messages: [
-            {
-              role: 'system',
-              content: 'You are a technical recruiter. Analyze the candidate\'s skills and experience, then classify them. Return a JSON object with: stack (e.g., "Full Stack", "Frontend", "Backend"), percentage (0-100 confidence score), role (e.g., "Senior Developer", "Junior Developer"), and reasoning (brief explanation).'
-            },
-            {
-              role: 'user',
-              content: `Skills: ${skillsText}\nExperience: ${experienceText}\n\nClassify this candidate.`
-            }
-          ],
-          temperature: 0.5,
-          max_tokens: 300
-        });
+// Languages the client asked for, best first: the `lang` query parameter (comma-separated) or
+// else the Accept-Language header, ordered by its q-values
+const requestedLanguages = (req) => {
+  if (req.query.lang) {
+    return [...new Set(String(req.query.lang).split(',').map(toLanguageCode).filter(Boolean))];
+  }
+  const ranges = String(req.get('accept-language') || '')
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+      return { code: toLanguageCode(tag), q: quality ? parseFloat(quality.slice(2)) : 1, index };
+    })
+    .filter((range) => range.code && range.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+  return [...new Set(ranges.map((range) => range.code))];
+};
 
-        const aiResponse = completion.choices[0]?.message?.content;
-        try {
-          const aiClassification = JSON.parse(aiResponse);
-          fileUploadClassification = {
-            stack: aiClassification.stack || fileUploadClassification.stack,
-            percentage: aiClassification.percentage || fileUploadClassification.percentage,
-            role: aiClassification.role || fileUploadClassification.role,
-            reasoning: aiClassification.reasoning || fileUploadClassification.reasoning
-          };
-        } catch (e) {
-          console.log('Could not parse AI classification, using default');
-        }
-      } catch (aiError) {
-        console.error('OpenAI classification error:', aiError);
-      }
-    }
+// Puts each job into the first requested language it has, falling back to its primary language
+// (jobs.language). Adds content_language and available_languages; search highlights of the
+// primary text are dropped from translated jobs.
+async function localizeJobs(jobs, languages) {
+  if (jobs.length === 0) return jobs;
 
-    // Generate classification using OpenAI if available
-    let classification = {
-      stack: 'Full Stack',
-      percentage: 85,
-      role: 'Senior Developer',
-      reasoning: 'Based on skills and experience analysis'
-    };
+  const result = await pool.query(
+    'SELECT job_id, language, title, description, requirements FROM job_translations WHERE job_id = ANY($1::int[])',
+    [jobs.map((job) => job.id)]
+  );
+  const translationsByJob = new Map();
+  for (const row of result.rows) {
+    if (!translationsByJob.has(row.job_id)) translationsByJob.set(row.job_id, new Map());
+    translationsByJob.get(row.job_id).set(row.language, row);
+  }
 
-    if (openai && (skillsArray.length > 0 || experienceArray.length > 0)) {
-      try {
-        const skillsText = skillsArray.join(', ');
-        const experienceText = experienceArray.map(exp => 
-          `${exp.role || exp.title || 'Role'} at ${exp.company || 'Company'}`
-        ).join(', ');
+  return jobs.map((job) => {
+    const primary = toLanguageCode(job.language);
+    const translations = translationsByJob.get(job.id) || new Map();
+    const chosen = languages.find((code) => code === primary || translations.has(code));
+    const translation = chosen && chosen !== primary ? translations.get(chosen) : null;
 
-        const completion = await openai.chat.completions.create({
-          model: 'gpt-3.5-turbo',
-          messages: [
-            {
-              role: 'system',
-              content: 'You are a technical recruiter. Analyze the candidate\'s skills and experience, then classify them. Return a JSON object with: stack (e.g., "Full Stack", "Frontend", "Backend"), percentage (0-100 confidence score), role (e.g., "Senior Developer", "Junior Developer"), and reasoning (brief explanation).'
-            },
-            {
-              role: 'user',
-              content: `Skills: ${skillsText}\nExperience: ${experienceText}\n\nClassify this candidate.`
-            }
-          ],
-          temperature: 0.5,
-          max_tokens: 300
-        });
+    return {
+      ...job,
+      ...(translation && {
+        title: translation.title,
+        description: translation.description ?? job.description,
+        requirements: translation.requirements?.length > 0 ? translation.requirements : job.requirements,
+        ...(job.title_highlight !== undefined && { title_highlight: null, search_snippet: null })
+      }),
+      content_language: translation ? chosen : primary,
+      available_languages: [...new Set([primary, ...translations.keys()].filter(Boolean))]
+    };
+  });
+}
 
-        const aiResponse = completion.choices[0]?.message?.content;
-        try {
-          const aiClassification = JSON.parse(aiResponse);
-          classification = {
-            stack: aiClassification.stack || classification.stack,
-            percentage: aiClassification.percentage || classification.percentage,
-            role: aiClassification.role || classification.role,
-            reasoning: aiClassification.reasoning || classification.reasoning
-          };
-        } catch (e) {
-          console.log('Could not parse AI classification, using default');
-        }
-      } catch (aiError) {
-        console.error('OpenAI classification error:', aiError);
-      }
-    }
+// Loads the job and validates the :lang of a translation route; returns { job, language } or { status, error }
+async function getTranslatableJob(id, lang) {
+  const language = toLanguageCode(lang);
+  if (!language) {
+    return { status: 400, error: 'lang must be a language code such as de or en' };
+  }
+  const result = await pool.query('SELECT id, title, description, requirements, language FROM jobs WHERE id = $1', [id]);
+  if (result.rows.length === 0) {
+    return { status: 404, error: 'Job not found' };
+  }
+  if (toLanguageCode(result.rows[0].language) === language) {
+    return { status: 400, error: `${language} is the primary language of this job; edit the job itself instead` };
+  }
+  return { job: result.rows[0], language };
+}
 
-    const result = await pool.query(
-      `INSERT INTO applicants (name, email, phone, skills, experience, education, resume_filename, resume_mime, resume_data)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-       RETURNING id, name, email, phone, skills, experience, education, created_at`,
-      [
-        name,
-        email,
-        phone || null,
-        skillsArray,
-        JSON.stringify(experienceArray),
-        education || null,
-        resumeFilename,
-        resumeMime,
-        resumeData
-      ]
-    );
+// Inserts or replaces the job's translation into `language`; source is 'manual' or 'ai'
+async function saveJobTranslation(jobId, language, { title, description, requirements }, source) {
+  const result = await pool.query(
+    `INSERT INTO job_translations (job_id, language, title, description, requirements, source)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (job_id, language) DO UPDATE SET
+       title = EXCLUDED.title,
+       description = EXCLUDED.description,
+       requirements = EXCLUDED.requirements,
+       source = EXCLUDED.source,
+       updated_at = NOW()
+     RETURNING *`,
+    [jobId, language, title, description, requirements, source]
+  );
+  return result.rows[0];
+}
 
-    const applicant = result.rows[0];
-    applicant.classification = fileUploadClassification;
+// Translates a job's title, description and requirements with the OpenAI client.
+// Returns { title, description, requirements } or null when the reply is unusable.
+async function translateJobWithAi(job, language) {
+  const languageName = new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+  const completion = await openai.chat.completions.create({
+    model: 'gpt-3.5-turbo-1106',
+    response_format: { type: 'json_object' },
+    temperature: 0.2,
+    messages: [
+      {
+        role: 'system',
+        content:
+          'You translate job postings. Return ONLY JSON with the schema {title:string, description:string, requirements:[string]}. ' +
+          'Keep HTML markup, company, product and technology names unchanged, and keep one requirement per array item.'
+      },
+      {
+        role: 'user',
+        content:
+          `Translate this job posting into ${languageName}:\n\n` +
+          JSON.stringify({
+            title: job.title,
+            description: job.description || '',
+            requirements: Array.isArray(job.requirements) ? job.requirements : []
+          })
+      }
+    ],
+    max_tokens: 3000
+  });
 
-    res.status(201).json({ applicant });
+  try {
+    const parsed = JSON.parse(completion.choices[0]?.message?.content || '');
+    if (typeof parsed.title !== 'string' || parsed.title.trim() === '') return null;
+    return {
+      title: parsed.title.trim(),
+      description: typeof parsed.description === 'string' ? parsed.description : null,
+      requirements: toStringList(parsed.requirements)
+    };
   } catch (error) {
-    console.error('Create applicant error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    return null;
   }
+}
+
+// --------------------------------------------
+// Job syndication: feed formats for the job boards we post to
+// --------------------------------------------
+const JOB_SOURCE_NAME = process.env.JOB_SOURCE_NAME || 'JobSpeedy AI';
+
+const jobPageUrl = (job) => `${APP_BASE_URL}/jobs/${job.id}`;
+const jobApplyUrl = (job) => `${APP_BASE_URL}/jobs/${job.id}/apply`;
+
+// Common shape every feed format renders from (a jobs row joined with its client company)
+const toFeedJob = (row) => ({
+  id: row.id,
+  reference: `JS-${row.id}`,
+  title: row.title,
+  description: row.description,
+  company: row.company || row.client_company || null,
+  department: row.department,
+  location: row.location,
+  is_remote: row.is_remote === true,
+  latitude: row.latitude ?? null,
+  longitude: row.longitude ?? null,
+  job_type: row.job_type,
+  category: row.category,
+  language: row.language,
+  requirements: Array.isArray(row.requirements) ? row.requirements.filter(Boolean) : [],
+  required_skills: Array.isArray(row.required_skills) ? row.required_skills.filter(Boolean) : [],
+  // Only published when the job shows its salary
+  salary:
+    row.salary_visible !== false && (row.salary_min != null || row.salary_max != null)
+      ? {
+          min: row.salary_min != null ? parseFloat(row.salary_min) : null,
+          max: row.salary_max != null ? parseFloat(row.salary_max) : null,
+          currency: row.salary_currency,
+          period: row.salary_period || 'yearly'
+        }
+      : null,
+  posted_at: row.created_at ? new Date(row.created_at) : null,
+  updated_at: row.updated_at ? new Date(row.updated_at) : null,
+  url: jobPageUrl(row),
+  apply_url: jobApplyUrl(row)
 });
 
-// Get Applicant by ID
-app.get('/api/applicants/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const result = await pool.query(
-      'SELECT id, name, email, phone, skills, experience, education, created_at FROM applicants WHERE id = $1',
-      [id]
-    );
+const xmlTag = (name, value, indent = '') =>
+  value === null || value === undefined || value === '' ? '' : `${indent}<${name}>${escapeXml(String(value))}</${name}>\n`;
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Applicant not found' });
-    }
+// CDATA keeps HTML in descriptions readable; a literal ]]> is split across two sections
+const cdataTag = (name, value, indent = '') =>
+  value === null || value === undefined || value === ''
+    ? ''
+    : `${indent}<${name}><![CDATA[${String(value).replace(/]]>/g, ']]]]><![CDATA[>')}]]></${name}>\n`;
 
-    const applicant = result.rows[0];
-    
-    // Generate classification using OpenAI if available
-    let classification = {
-      stack: 'Full Stack',
-      percentage: 85,
-      role: 'Senior Developer',
-      reasoning: 'Based on skills and experience analysis'
-    };
+const xmlDocument = (body) => `<?xml version="1.0" encoding="UTF-8"?>\n${body}`;
 
-    if (openai && applicant.skills && applicant.skills.length > 0) {
-      try {
-        const skillsText = Array.isArray(applicant.skills) ? applicant.skills.join(', ') : '';
-        let experienceText = '';
-        
-        if (applicant.experience) {
-          try {
-            const exp = typeof applicant.experience === 'string' ? JSON.parse(applicant.experience) : applicant.experience;
-            experienceText = Array.isArray(exp) ? exp.map(e => `${e.role || 'Role'} at ${e.company || 'Company'}`).join(', ') : '';
-          } catch (e) {
-            experienceText = '';
+// "50000 - 60000 EUR per year", "from 20 EUR per hour" or "up to 4000 EUR per month"
+const formatSalaryText = (salary) => {
+  if (!salary) return null;
+  const per = `${salary.currency} per ${SALARY_PERIOD_UNITS[salary.period].toLowerCase()}`;
+  if (salary.min !== null && salary.max !== null) {
+    return salary.min === salary.max ? `${salary.min} ${per}` : `${salary.min} - ${salary.max} ${per}`;
+  }
+  return salary.min !== null ? `from ${salary.min} ${per}` : `up to ${salary.max} ${per}`;
+};
+
+// Each format declares the feed-job fields it cannot do without, renders one job as an XML
+// fragment, and wraps a list of rendered jobs into a complete document.
+const JOB_FEED_FORMATS = {
+  indeed: {
+    label: 'Indeed XML feed',
+    requiredFields: ['title', 'description', 'company', 'location', 'posted_at', 'url'],
+    renderJob: (job) =>
+      '  <job>\n' +
+      cdataTag('title', job.title, '    ') +
+      cdataTag('date', job.posted_at.toUTCString(), '    ') +
+      cdataTag('referencenumber', job.reference, '    ') +
+      cdataTag('url', job.url, '    ') +
+      cdataTag('company', job.company, '    ') +
+      cdataTag('city', job.location, '    ') +
+      cdataTag('remotetype', job.is_remote ? 'Fully remote' : null, '    ') +
+      cdataTag('description', job.description, '    ') +
+      cdataTag('jobtype', job.job_type, '    ') +
+      cdataTag('category', job.category, '    ') +
+      cdataTag('experience', job.requirements.join('\n'), '    ') +
+      cdataTag('salary', formatSalaryText(job.salary), '    ') +
+      '  </job>\n',
+    renderDocument: (jobs, { updatedAt }) =>
+      xmlDocument(
+        '<source>\n' +
+        xmlTag('publisher', JOB_SOURCE_NAME, '  ') +
+        xmlTag('publisherurl', APP_BASE_URL, '  ') +
+        xmlTag('lastBuildDate', updatedAt.toUTCString(), '  ') +
+        jobs.join('') +
+        '</source>\n'
+      )
+  },
+
+  stepstone: {
+    label: 'StepStone-style listing',
+    requiredFields: ['reference', 'title', 'description', 'company', 'location', 'apply_url'],
+    renderJob: (job) =>
+      '  <job>\n' +
+      xmlTag('id', job.reference, '    ') +
+      xmlTag('title', job.title, '    ') +
+      xmlTag('company', job.company, '    ') +
+      xmlTag('location', job.location, '    ') +
+      xmlTag('employmentType', job.job_type, '    ') +
+      xmlTag('category', job.category, '    ') +
+      xmlTag('department', job.department, '    ') +
+      xmlTag('language', job.language, '    ') +
+      cdataTag('description', job.description, '    ') +
+      (job.requirements.length > 0
+        ? '    <requirements>\n' + job.requirements.map((item) => xmlTag('requirement', item, '      ')).join('') + '    </requirements>\n'
+        : '') +
+      (job.required_skills.length > 0
+        ? '    <skills>\n' + job.required_skills.map((item) => xmlTag('skill', item, '      ')).join('') + '    </skills>\n'
+        : '') +
+      (job.salary
+        ? '    <salary>\n' +
+          xmlTag('min', job.salary.min, '      ') +
+          xmlTag('max', job.salary.max, '      ') +
+          xmlTag('currency', job.salary.currency, '      ') +
+          xmlTag('period', job.salary.period, '      ') +
+          '    </salary>\n'
+        : '') +
+      xmlTag('publicationDate', job.posted_at?.toISOString(), '    ') +
+      xmlTag('detailUrl', job.url, '    ') +
+      xmlTag('applyUrl', job.apply_url, '    ') +
+      '  </job>\n',
+    renderDocument: (jobs, { updatedAt }) =>
+      xmlDocument(`<jobs source="${escapeXml(JOB_SOURCE_NAME)}" generated="${updatedAt.toISOString()}">\n${jobs.join('')}</jobs>\n`)
+  },
+
+  'hr-xml': {
+    label: 'HR-XML PositionOpening',
+    requiredFields: ['reference', 'title', 'description', 'company', 'posted_at', 'apply_url'],
+    renderJob: (job) =>
+      `  <PositionOpening${job.language ? ` xml:lang="${escapeXml(job.language)}"` : ''}>\n` +
+      '    <PositionRecordInfo>\n' +
+      `      <Id><IdValue>${escapeXml(job.reference)}</IdValue></Id>\n` +
+      '    </PositionRecordInfo>\n' +
+      '    <PositionPostings>\n' +
+      '      <PositionPosting>\n' +
+      `        <Id><IdValue>${escapeXml(job.reference)}</IdValue></Id>\n` +
+      xmlTag('Title', job.title, '        ') +
+      xmlTag('PostingDate', job.posted_at.toISOString().slice(0, 10), '        ') +
+      '        <HowToApply>\n' +
+      '          <ApplicationMethod>\n' +
+      xmlTag('InternetWebAddress', job.apply_url, '            ') +
+      '          </ApplicationMethod>\n' +
+      '        </HowToApply>\n' +
+      '      </PositionPosting>\n' +
+      '    </PositionPostings>\n' +
+      '    <PositionProfile>\n' +
+      '      <Organization>\n' +
+      xmlTag('Name', job.company, '        ') +
+      '      </Organization>\n' +
+      '      <PositionDetail>\n' +
+      (job.location
+        ? `        <PhysicalLocation><Name>${escapeXml(job.location)}</Name></PhysicalLocation>\n`
+        : '') +
+      xmlTag('PositionTitle', job.title, '        ') +
+      xmlTag('PositionSchedule', job.job_type, '        ') +
+      (job.category
+        ? `        <JobCategory><CategoryCode>${escapeXml(job.category)}</CategoryCode></JobCategory>\n`
+        : '') +
+      job.required_skills.map((skill) => `        <Competency name="${escapeXml(skill)}"/>\n`).join('') +
+      (job.salary
+        ? '        <RemunerationPackage>\n' +
+          `          <BasePay currencyCode="${escapeXml(job.salary.currency)}" baseInterval="${escapeXml(job.salary.period)}">\n` +
+          xmlTag('BasePayAmountMin', job.salary.min, '            ') +
+          xmlTag('BasePayAmountMax', job.salary.max, '            ') +
+          '          </BasePay>\n' +
+          '        </RemunerationPackage>\n'
+        : '') +
+      '      </PositionDetail>\n' +
+      '      <FormattedPositionDescription>\n' +
+      '        <Name>Description</Name>\n' +
+      xmlTag('Value', job.description, '        ') +
+      '      </FormattedPositionDescription>\n' +
+      (job.requirements.length > 0
+        ? '      <FormattedPositionDescription>\n' +
+          '        <Name>Requirements</Name>\n' +
+          xmlTag('Value', job.requirements.join('\n'), '        ') +
+          '      </FormattedPositionDescription>\n'
+        : '') +
+      '    </PositionProfile>\n' +
+      '  </PositionOpening>\n',
+    renderDocument: (jobs) =>
+      xmlDocument(`<PositionOpenings xmlns="http://ns.hr-xml.org/2007-04-15">\n${jobs.join('')}</PositionOpenings>\n`)
+  },
+
+  // The original minimal document, kept for existing consumers
+  generic: {
+    label: 'Generic job XML',
+    requiredFields: ['title'],
+    renderJob: (job) =>
+      '<job>\n' +
+      xmlTag('title', job.title, '  ') +
+      `  <description>${escapeXml(job.description || '')}</description>\n` +
+      xmlTag('company', job.company, '  ') +
+      xmlTag('location', job.location, '  ') +
+      xmlTag('job_type', job.job_type, '  ') +
+      xmlTag('category', job.category, '  ') +
+      xmlTag('salary', formatSalaryText(job.salary), '  ') +
+      xmlTag('url', job.url, '  ') +
+      '</job>\n',
+    renderDocument: (jobs, { single }) => xmlDocument(single ? jobs[0] : `<jobs>\n${jobs.join('')}</jobs>\n`)
+  }
+};
+
+// Whole-board feeds (all open jobs in one document), next to the portal formats above
+const JOB_AGGREGATE_FEEDS = {
+  rss: {
+    contentType: 'application/rss+xml; charset=utf-8',
+    render: (jobs, { feedUrl, updatedAt }) =>
+      xmlDocument(
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">\n' +
+        '  <channel>\n' +
+        xmlTag('title', `${JOB_SOURCE_NAME} jobs`, '    ') +
+        xmlTag('link', `${APP_BASE_URL}/jobs`, '    ') +
+        xmlTag('description', `Open positions at ${JOB_SOURCE_NAME}`, '    ') +
+        xmlTag('lastBuildDate', updatedAt.toUTCString(), '    ') +
+        `    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>\n` +
+        jobs
+          .map(
+            (job) =>
+              '    <item>\n' +
+              xmlTag('title', job.company ? `${job.title} - ${job.company}` : job.title, '      ') +
+              xmlTag('link', job.url, '      ') +
+              `      <guid isPermaLink="true">${escapeXml(job.url)}</guid>\n` +
+              xmlTag('pubDate', job.posted_at?.toUTCString(), '      ') +
+              xmlTag('category', job.category, '      ') +
+              cdataTag('description', job.description, '      ') +
+              '    </item>\n'
+          )
+          .join('') +
+        '  </channel>\n' +
+        '</rss>\n'
+      )
+  },
+
+  atom: {
+    contentType: 'application/atom+xml; charset=utf-8',
+    render: (jobs, { feedUrl, updatedAt }) =>
+      xmlDocument(
+        '<feed xmlns="http://www.w3.org/2005/Atom">\n' +
+        xmlTag('id', feedUrl, '  ') +
+        xmlTag('title', `${JOB_SOURCE_NAME} jobs`, '  ') +
+        xmlTag('updated', updatedAt.toISOString(), '  ') +
+        `  <link rel="self" href="${escapeXml(feedUrl)}"/>\n` +
+        `  <link rel="alternate" href="${escapeXml(`${APP_BASE_URL}/jobs`)}"/>\n` +
+        `  <author><name>${escapeXml(JOB_SOURCE_NAME)}</name></author>\n` +
+        jobs
+          .map(
+            (job) =>
+              '  <entry>\n' +
+              xmlTag('id', job.url, '    ') +
+              xmlTag('title', job.title, '    ') +
+              `    <link rel="alternate" href="${escapeXml(job.url)}"/>\n` +
+              xmlTag('published', job.posted_at?.toISOString(), '    ') +
+              xmlTag('updated', (job.updated_at || job.posted_at || updatedAt).toISOString(), '    ') +
+              (job.category ? `    <category term="${escapeXml(job.category)}"/>\n` : '') +
+              (job.description ? `    <content type="html">${escapeXml(job.description)}</content>\n` : '') +
+              '  </entry>\n'
+          )
+          .join('') +
+        '</feed>\n'
+      )
+  },
+
+  // JSON Feed 1.1; job details go into the _job extension object
+  json: {
+    contentType: 'application/feed+json; charset=utf-8',
+    render: (jobs, { feedUrl }) =>
+      JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: `${JOB_SOURCE_NAME} jobs`,
+        home_page_url: `${APP_BASE_URL}/jobs`,
+        feed_url: feedUrl,
+        items: jobs.map((job) => ({
+          id: job.reference,
+          url: job.url,
+          title: job.title,
+          content_text: job.description || '',
+          date_published: job.posted_at?.toISOString(),
+          date_modified: job.updated_at?.toISOString(),
+          tags: [job.category, job.job_type].filter(Boolean),
+          _job: {
+            company: job.company,
+            department: job.department,
+            location: job.location,
+            is_remote: job.is_remote,
+            job_type: job.job_type,
+            category: job.category,
+            language: job.language,
+            requirements: job.requirements,
+            required_skills: job.required_skills,
+            salary: job.salary,
+            apply_url: job.apply_url
           }
-        }
+        }))
+      })
+  }
+};
 
-        if (skillsText) {
-          const completion = await openai.chat.completions.create({
-            model: 'gpt-3.5-turbo',
-            messages: [
-              {
-                role: 'system',
-                content: 'You are a technical recruiter. Analyze the candidate\'s skills and experience, then classify them. Return a JSON object with: stack (e.g., "Full Stack", "Frontend", "Backend"), percentage (0-100 confidence score), role (e.g., "Senior Developer", "Junior Developer"), and reasoning (brief explanation).'
-              },
-              {
-                role: 'user',
-                content: `Skills: ${skillsText}${experienceText ? `\nExperience: ${experienceText}` : ''}\n\nClassify this candidate.`
-              }
-            ],
-            temperature: 0.5,
-            max_tokens: 300
-          });
+// schema.org employmentType values, keyed by job_type with case, spaces and dashes removed
+const JOB_EMPLOYMENT_TYPES = {
+  fulltime: 'FULL_TIME',
+  vollzeit: 'FULL_TIME',
+  permanent: 'FULL_TIME',
+  parttime: 'PART_TIME',
+  teilzeit: 'PART_TIME',
+  contract: 'CONTRACTOR',
+  contractor: 'CONTRACTOR',
+  freelance: 'CONTRACTOR',
+  temporary: 'TEMPORARY',
+  temp: 'TEMPORARY',
+  internship: 'INTERN',
+  intern: 'INTERN',
+  praktikum: 'INTERN',
+  volunteer: 'VOLUNTEER',
+  perdiem: 'PER_DIEM'
+};
 
-          const aiResponse = completion.choices[0]?.message?.content;
-          try {
-            const aiClassification = JSON.parse(aiResponse);
-            classification = {
-              stack: aiClassification.stack || classification.stack,
-              percentage: aiClassification.percentage || classification.percentage,
-              role: aiClassification.role || classification.role,
-              reasoning: aiClassification.reasoning || classification.reasoning
-            };
-          } catch (e) {
-            console.log('Could not parse AI classification, using default');
+const toEmploymentType = (jobType) => {
+  if (!jobType) return undefined;
+  return JOB_EMPLOYMENT_TYPES[String(jobType).toLowerCase().replace(/[\s_-]+/g, '')] || 'OTHER';
+};
+
+// schema.org JobPosting for search engine job listings; undefined properties are dropped by JSON.stringify
+const toJobPostingJsonLd = (row) => {
+  const job = toFeedJob(row);
+  const postedAt = row.publish_at ? new Date(row.publish_at) : job.posted_at || new Date();
+  const validThrough = row.expires_at
+    ? new Date(row.expires_at)
+    : new Date(postedAt.getTime() + JOB_POSTING_VALID_DAYS * 24 * 60 * 60 * 1000);
+  const isRemote = job.is_remote || REMOTE_LOCATION_PATTERN.test(job.job_type || '');
+
+  return {
+    '@context': 'https://schema.org/',
+    '@type': 'JobPosting',
+    title: job.title,
+    description: job.description || job.title,
+    identifier: {
+      '@type': 'PropertyValue',
+      name: job.company || JOB_SOURCE_NAME,
+      value: job.reference
+    },
+    datePosted: postedAt.toISOString(),
+    validThrough: validThrough.toISOString(),
+    employmentType: toEmploymentType(job.job_type),
+    hiringOrganization: {
+      '@type': 'Organization',
+      name: job.company || JOB_SOURCE_NAME
+    },
+    jobLocation: job.location
+      ? {
+          '@type': 'Place',
+          address: {
+            '@type': 'PostalAddress',
+            addressLocality: job.location
+          },
+          geo:
+            job.latitude !== null && job.longitude !== null
+              ? { '@type': 'GeoCoordinates', latitude: job.latitude, longitude: job.longitude }
+              : undefined
+        }
+      : undefined,
+    jobLocationType: isRemote ? 'TELECOMMUTE' : undefined,
+    industry: job.category || undefined,
+    occupationalCategory: job.department || undefined,
+    skills: job.required_skills.length > 0 ? job.required_skills.join(', ') : undefined,
+    qualifications: job.requirements.length > 0 ? job.requirements.join('\n') : undefined,
+    baseSalary: job.salary
+      ? {
+          '@type': 'MonetaryAmount',
+          currency: job.salary.currency,
+          value: {
+            '@type': 'QuantitativeValue',
+            ...(job.salary.min !== null && job.salary.min === job.salary.max
+              ? { value: job.salary.min }
+              : { minValue: job.salary.min ?? undefined, maxValue: job.salary.max ?? undefined }),
+            unitText: SALARY_PERIOD_UNITS[job.salary.period]
           }
         }
-      } catch (aiError) {
-        console.error('OpenAI classification error:', aiError);
-      }
-    }
+      : undefined,
+    inLanguage: job.language || undefined,
+    url: job.url
+  };
+};
 
-    applicant.classification = classification;
+const getFeedFormat = (portal) =>
+  Object.prototype.hasOwnProperty.call(JOB_FEED_FORMATS, String(portal).toLowerCase())
+    ? JOB_FEED_FORMATS[String(portal).toLowerCase()]
+    : null;
 
-    res.json({ applicant });
-  } catch (error) {
-    console.error('Get applicant error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+// Required fields the job lacks for the given format (empty when it can be published)
+const missingFeedFields = (format, job) =>
+  format.requiredFields.filter((field) => {
+    const value = job[field];
+    return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+  });
 
 // ============================================
-// AI/TOOLS APIs
+// AUTHENTICATION APIs
 // ============================================
 
-// Parse Resume (Alias for extract-skills, matches frontend expectation)
-// Supports both JSON payload (filename + text) and file upload (multipart/form-data)
-app.post('/api/parse-resume', async (req, res) => {
+// 1. User Registration
+app.post('/api/users/register', async (req, res) => {
   try {
-    let resumeText = '';
-    let filename = '';
-    let fileExtension = '.txt';
+    const { full_name, email, password, phone } = req.body;
+    
+    if (!full_name || !email || !password) {
+      return res.status(400).json({ error: 'full_name, email, and password are required' });
+    }
 
-    // Check if request is JSON with filename and text (frontend approach)
-    if (req.body && req.body.filename && req.body.text) {
-      // Handle JSON payload from frontend
-      filename = req.body.filename;
-      resumeText = req.body.text;
-      fileExtension = path.extname(filename).toLowerCase();
-      
-      if (!openai) {
-        return res.status(503).json({
-          error: 'AI not configured',
-          message: 'Set AI_SERVICE_API_KEY / OPENAI_API_KEY to enable resume parsing.'
-        });
+    // Check if email already exists
+    const existingUser = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
+    if (existingUser.rows.length > 0) {
+      return res.status(409).json({ error: 'Email already exists' });
+    }
+
+    // Hash password
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    // Insert user
+    const result = await pool.query(
+      'INSERT INTO users (full_name, email, password_hash, phone) VALUES ($1, $2, $3, $4) RETURNING id, full_name, email, phone, verified_at, created_at',
+      [full_name, email, passwordHash, phone || null]
+    );
+
+    const user = result.rows[0];
+
+    // A failed email should not fail the registration; the candidate can ask for a resend
+    let verificationEmailSent = true;
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      verificationEmailSent = false;
+      console.error('Verification email error:', mailError);
+    }
+
+    // Generate JWT token
+    const { token, refreshToken } = await createSession('user', user, req);
+
+    res.status(201).json({
+      token,
+      refreshToken,
+      user: {
+        id: user.id,
+        full_name: user.full_name,
+        email: user.email,
+        phone: user.phone,
+        verified_at: user.verified_at,
+        created_at: user.created_at
+      },
+      verification_email_sent: verificationEmailSent
+    });
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 2. User Login
+app.post('/api/users/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    // Find user and verify password (throttled against brute force)
+    const attempt = await authenticateWithPassword('user', email, password, req);
+    if (!attempt.account) {
+      return sendLoginRejection(res, attempt);
+    }
+
+    const user = attempt.account;
+
+    // Generate JWT token
+    const { token, refreshToken } = await createSession('user', user, req);
+
+    res.json({
+      token,
+      refreshToken,
+      user: {
+        id: user.id,
+        full_name: user.full_name,
+        email: user.email,
+        phone: user.phone,
+        verified_at: user.verified_at,
+        created_at: user.created_at
+      }
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 3. Get Current User Profile
+app.get('/api/users/me', verifyToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, full_name, email, phone, verified_at, created_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user: result.rows[0] });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update Current User Profile (name and phone; email changes go through /api/users/me/email)
+app.put('/api/users/me', verifyToken, requireCandidate, async (req, res) => {
+  try {
+    const { full_name, phone, email } = req.body;
+
+    if (email !== undefined) {
+      return res.status(400).json({ error: 'Use POST /api/users/me/email to change your email address' });
+    }
+
+    const updates = {};
+    if (full_name !== undefined) {
+      if (typeof full_name !== 'string' || !full_name.trim() || full_name.trim().length > 200) {
+        return res.status(400).json({ error: 'full_name must be a non-empty string of at most 200 characters' });
+      }
+      updates.full_name = full_name.trim();
+    }
+    if (phone !== undefined) {
+      if (phone === null || phone === '') {
+        updates.phone = null;
+      } else if (typeof phone !== 'string' || !PHONE_PATTERN.test(phone.trim())) {
+        return res.status(400).json({ error: 'phone must be a valid phone number' });
+      } else {
+        updates.phone = phone.trim();
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const user = await withTransaction(async (client) => {
+      const current = await client.query('SELECT full_name, phone FROM users WHERE id = $1 FOR UPDATE', [req.user.id]);
+      if (current.rows.length === 0) return null;
+
+      const fields = Object.keys(updates);
+      const result = await client.query(
+        `UPDATE users SET ${fields.map((field, idx) => `${field} = $${idx + 1}`).join(', ')}
+         WHERE id = $${fields.length + 1}
+         RETURNING id, full_name, email, phone, verified_at, created_at`,
+        [...fields.map((field) => updates[field]), req.user.id]
+      );
+
+      for (const field of fields) {
+        if (current.rows[0][field] !== updates[field]) {
+          await recordProfileChange(client, req.user.id, field, current.rows[0][field], updates[field], req.user);
+        }
+      }
+      return result.rows[0];
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user });
+  } catch (error) {
+    console.error('Update user profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change Password (requires the current password; signs out all other sessions)
+app.post('/api/users/me/password', verifyToken, requireCandidate, async (req, res) => {
+  try {
+    const currentPassword = req.body.current_password ?? req.body.currentPassword;
+    const newPassword = req.body.new_password ?? req.body.newPassword;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ error: 'current_password and new_password are required' });
+    }
+    const passwordError = validateNewPassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const result = await pool.query('SELECT email, password_hash FROM users WHERE id = $1', [req.user.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const check = await guardCredentialCheck('user', result.rows[0].email, req, () =>
+      bcrypt.compare(currentPassword, result.rows[0].password_hash)
+    );
+    if (check.rejection) {
+      return sendLoginRejection(res, check.rejection);
+    }
+    if (!check.valid) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+    // Reset links issued before the change must not be able to overwrite the new password
+    await withTransaction(async (client) => {
+      await client.query('UPDATE users SET password_hash = $1 WHERE id = $2', [passwordHash, req.user.id]);
+      await client.query(
+        `UPDATE password_reset_tokens SET used_at = NOW()
+         WHERE account_type = 'user' AND account_id = $1 AND used_at IS NULL`,
+        [req.user.id]
+      );
+      await recordProfileChange(client, req.user.id, 'password', null, null, req.user);
+    });
+    const revoked = await revokeAllSessions('user', req.user.id, req.user.sid);
+
+    res.json({ success: true, message: 'Password changed successfully', revoked_sessions: revoked });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Request Email Change: sends a confirmation link to the new address; the email only
+// changes once that link is opened
+app.post('/api/users/me/email', verifyToken, requireCandidate, async (req, res) => {
+  try {
+    const newEmail = typeof (req.body.new_email ?? req.body.newEmail) === 'string'
+      ? (req.body.new_email ?? req.body.newEmail).trim()
+      : '';
+    const { password } = req.body;
+
+    if (!newEmail || !password) {
+      return res.status(400).json({ error: 'new_email and password are required' });
+    }
+    if (!EMAIL_PATTERN.test(newEmail)) {
+      return res.status(400).json({ error: 'new_email must be a valid email address' });
+    }
+
+    const result = await pool.query('SELECT id, full_name, email, password_hash FROM users WHERE id = $1', [req.user.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const user = result.rows[0];
+
+    const check = await guardCredentialCheck('user', user.email, req, () => bcrypt.compare(password, user.password_hash));
+    if (check.rejection) {
+      return sendLoginRejection(res, check.rejection);
+    }
+    if (!check.valid) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+    if (newEmail.toLowerCase() === user.email.toLowerCase()) {
+      return res.status(400).json({ error: 'new_email is the same as the current email' });
+    }
+
+    const existingUser = await pool.query('SELECT id FROM users WHERE email = $1', [newEmail]);
+    if (existingUser.rows.length > 0) {
+      return res.status(409).json({ error: 'Email already exists' });
+    }
+
+    const token = jwt.sign(
+      { id: user.id, email: user.email, new_email: newEmail, purpose: 'change-email' },
+      JWT_SECRET,
+      { expiresIn: EMAIL_VERIFICATION_TTL }
+    );
+    const confirmUrl = `${APP_BASE_URL}/confirm-email-change?token=${token}`;
+    await sendMail({
+      to: newEmail,
+      subject: 'Confirm your new email address for JobSpeedy AI',
+      text:
+        `Hi ${user.full_name || 'there'},\n\n` +
+        `Please confirm that you want to use this address for your JobSpeedy AI account:\n${confirmUrl}\n\n` +
+        `If you did not request this change, you can ignore this email.`
+    });
+
+    res.json({ message: 'A confirmation link has been sent to the new email address' });
+  } catch (error) {
+    console.error('Request email change error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Confirm Email Change: accepts the token from the link sent to the new address
+const confirmEmailChange = async (req, res) => {
+  try {
+    const token = req.query.token || req.body?.token;
+    if (!token) {
+      return res.status(400).json({ error: 'token is required' });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid or expired confirmation link' });
+    }
+    if (payload.purpose !== 'change-email') {
+      return res.status(400).json({ error: 'Invalid or expired confirmation link' });
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      // The link is only valid while the account still has the address it was issued for
+      const current = await client.query(
+        'SELECT id, email FROM users WHERE id = $1 AND email = $2 FOR UPDATE',
+        [payload.id, payload.email]
+      );
+      if (current.rows.length === 0) {
+        return { status: 400, body: { error: 'Invalid or expired confirmation link' } };
+      }
+
+      const taken = await client.query('SELECT id FROM users WHERE email = $1 AND id <> $2', [payload.new_email, payload.id]);
+      if (taken.rows.length > 0) {
+        return { status: 409, body: { error: 'Email already exists' } };
+      }
+
+      const result = await client.query(
+        `UPDATE users SET email = $1, verified_at = NOW()
+         WHERE id = $2
+         RETURNING id, full_name, email, phone, verified_at, created_at`,
+        [payload.new_email, payload.id]
+      );
+      await recordProfileChange(client, payload.id, 'email', payload.email, payload.new_email, { type: 'user', id: payload.id });
+      return { user: result.rows[0] };
+    });
+
+    if (!outcome.user) {
+      return res.status(outcome.status).json(outcome.body);
+    }
+
+    // Let the previous address know, in case the change was not made by its owner
+    try {
+      await sendMail({
+        to: payload.email,
+        subject: 'Your JobSpeedy AI email address was changed',
+        text:
+          `The email address of your JobSpeedy AI account was changed to ${payload.new_email}.\n\n` +
+          `If you did not make this change, please contact support immediately.`
+      });
+    } catch (mailError) {
+      console.error('Email change notice error:', mailError);
+    }
+
+    res.json({ message: 'Email changed successfully', user: outcome.user });
+  } catch (error) {
+    console.error('Confirm email change error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+app.get('/api/users/me/email/confirm', confirmEmailChange);
+app.post('/api/users/me/email/confirm', confirmEmailChange);
+
+// Profile Change History of the signed-in candidate
+app.get('/api/users/me/profile-changes', verifyToken, requireCandidate, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, field, old_value, new_value, changed_by_type, created_at
+       FROM user_profile_changes
+       WHERE user_id = $1
+       ORDER BY created_at DESC`,
+      [req.user.id]
+    );
+    res.json({ changes: result.rows });
+  } catch (error) {
+    console.error('Get profile changes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Erase Own Account: anonymizes the candidate's personal data (requires the password)
+app.delete('/api/users/me', verifyToken, requireCandidate, async (req, res) => {
+  try {
+    const { password } = req.body || {};
+    if (!password) {
+      return res.status(400).json({ error: 'password is required' });
+    }
+
+    const result = await pool.query('SELECT email, password_hash FROM users WHERE id = $1', [req.user.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const check = await guardCredentialCheck('user', result.rows[0].email, req, () =>
+      bcrypt.compare(password, result.rows[0].password_hash)
+    );
+    if (check.rejection) {
+      return sendLoginRejection(res, check.rejection);
+    }
+    if (!check.valid) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const outcome = await eraseCandidate(req.user.id, req.user, req.body.reason || null);
+    if (!outcome) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ success: true, message: 'Your personal data has been erased', certificate: outcome.certificate });
+  } catch (error) {
+    console.error('Erase own account error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GDPR Data Export: ZIP with data.json and the original resume files
+app.get('/api/users/me/export', verifyToken, requireCandidate, async (req, res) => {
+  try {
+    await sendCandidateExport(res, req.user.id);
+  } catch (error) {
+    console.error('Export user data error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Verify Email: accepts the token from the emailed link (query string or JSON body)
+const verifyEmail = async (req, res) => {
+  try {
+    const token = req.query.token || req.body?.token;
+    if (!token) {
+      return res.status(400).json({ error: 'token is required' });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+    if (payload.purpose !== 'verify-email') {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    // The link only counts for the address it was sent to
+    const result = await pool.query(
+      `UPDATE users SET verified_at = COALESCE(verified_at, NOW())
+       WHERE id = $1 AND email = $2
+       RETURNING id, full_name, email, phone, verified_at, created_at`,
+      [payload.id, payload.email]
+    );
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    res.json({ message: 'Email verified successfully', user: result.rows[0] });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+app.get('/api/users/verify-email', verifyEmail);
+app.post('/api/users/verify-email', verifyEmail);
+
+// Resend Verification Email (signed-in candidate)
+app.post('/api/users/resend-verification', verifyToken, requireCandidate, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, full_name, email, verified_at,
+        verification_sent_at > NOW() - ($2 * INTERVAL '1 second') AS recently_sent
+       FROM users WHERE id = $1`,
+      [req.user.id, VERIFICATION_RESEND_INTERVAL_SECONDS]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = result.rows[0];
+    if (user.verified_at) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+    if (user.recently_sent) {
+      res.set('Retry-After', String(VERIFICATION_RESEND_INTERVAL_SECONDS));
+      return res.status(429).json({ error: 'Verification email was sent recently. Please wait before requesting another.' });
+    }
+
+    await sendVerificationEmail(user);
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 4. Admin Registration
+app.post('/api/admin/register', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    if (!(await isAdminSelfRegistrationOpen())) {
+      return res.status(403).json({ error: 'Admin self-registration is disabled. Ask an existing admin for an invite.' });
+    }
+
+    // Check if email already exists
+    const existingAdmin = await pool.query('SELECT id FROM admin_users WHERE email = $1', [email]);
+    if (existingAdmin.rows.length > 0) {
+      return res.status(409).json({ error: 'Email already exists' });
+    }
+
+    // Hash password
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    // Insert admin
+    const role = await roleForSelfRegisteredAdmin();
+    const result = await pool.query(
+      'INSERT INTO admin_users (email, password_hash, role) VALUES ($1, $2, $3) RETURNING id, email, role, created_at',
+      [email, passwordHash, role]
+    );
+
+    const admin = result.rows[0];
+
+    // Mandatory 2FA: enrol before the first session is issued
+    const challenge = adminMfaChallenge(admin);
+    if (challenge) {
+      return res.status(201).json(challenge);
+    }
+
+    // Generate JWT token
+    const { token, refreshToken } = await createSession('admin', admin, req);
+
+    res.status(201).json({
+      token,
+      refreshToken,
+      admin: {
+        id: admin.id,
+        email: admin.email,
+        role: admin.role,
+        created_at: admin.created_at
+      }
+    });
+  } catch (error) {
+    console.error('Admin registration error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 5. Admin Login
+app.post('/api/admin/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    // Find admin and verify password (throttled against brute force)
+    const attempt = await authenticateWithPassword('admin', email, password, req);
+    if (!attempt.account) {
+      return sendLoginRejection(res, attempt);
+    }
+
+    const admin = attempt.account;
+
+    // With 2FA the password only earns a short-lived challenge token
+    const challenge = adminMfaChallenge(admin);
+    if (challenge) {
+      return res.json(challenge);
+    }
+
+    // Generate JWT token
+    const { token, refreshToken } = await createSession('admin', admin, req);
+
+    res.json({
+      token,
+      refreshToken,
+      admin: {
+        id: admin.id,
+        email: admin.email,
+        role: admin.role,
+        created_at: admin.created_at
+      }
+    });
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 5b. Admin Login - second step: exchange the challenge token and a TOTP or recovery code for a session
+app.post('/api/admin/login/verify-2fa', async (req, res) => {
+  try {
+    const outcome = await completeAdminMfaLogin(req);
+    if (!outcome.admin) {
+      return sendLoginRejection(res, outcome);
+    }
+
+    const { admin, recoveryCodes } = outcome;
+    const { token, refreshToken } = await createSession('admin', admin, req);
+
+    res.json({
+      token,
+      refreshToken,
+      admin: {
+        id: admin.id,
+        email: admin.email,
+        role: admin.role,
+        created_at: admin.created_at
+      },
+      ...(recoveryCodes ? { recovery_codes: recoveryCodes } : {})
+    });
+  } catch (error) {
+    console.error('Admin 2FA login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// 5c. Admin Login - enrolment during login when 2FA is mandatory and not yet set up
+app.post('/api/admin/login/2fa-setup', async (req, res) => {
+  try {
+    const challengeToken = req.body.challenge_token ?? req.body.challengeToken;
+    const admin = await adminFromMfaChallenge(challengeToken);
+    if (!admin) {
+      return res.status(401).json({ error: 'Invalid or expired challenge token' });
+    }
+    if (admin.totp_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const setup = await beginTotpSetup(admin);
+    res.json(setup);
+  } catch (error) {
+    console.error('Admin 2FA login setup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Alternative Admin Auth Endpoints (for frontend compatibility)
+app.post('/api/auth/register-admin', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+    if (!(await isAdminSelfRegistrationOpen())) {
+      return res.status(403).json({ error: 'Admin self-registration is disabled. Ask an existing admin for an invite.' });
+    }
+    const existingAdmin = await pool.query('SELECT id FROM admin_users WHERE email = $1', [email]);
+    if (existingAdmin.rows.length > 0) {
+      return res.status(409).json({ error: 'Email already exists' });
+    }
+    const passwordHash = await bcrypt.hash(password, 10);
+    const role = await roleForSelfRegisteredAdmin();
+    const result = await pool.query(
+      'INSERT INTO admin_users (email, password_hash, role) VALUES ($1, $2, $3) RETURNING id, email, role, created_at',
+      [email, passwordHash, role]
+    );
+    const admin = result.rows[0];
+    const challenge = adminMfaChallenge(admin);
+    if (challenge) {
+      return res.status(201).json(challenge);
+    }
+    const { token, refreshToken } = await createSession('admin', admin, req);
+    res.status(201).json({
+      user: {
+        id: admin.id,
+        email: admin.email,
+        role: admin.role
+      },
+      token,
+      refreshToken
+    });
+  } catch (error) {
+    console.error('Admin registration error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/auth/login-admin', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+    const attempt = await authenticateWithPassword('admin', email, password, req);
+    if (!attempt.account) {
+      return sendLoginRejection(res, attempt);
+    }
+    const admin = attempt.account;
+    const challenge = adminMfaChallenge(admin);
+    if (challenge) {
+      return res.json(challenge);
+    }
+    const { token, refreshToken } = await createSession('admin', admin, req);
+    res.json({
+      user: {
+        id: admin.id,
+        email: admin.email,
+        role: admin.role
+      },
+      token,
+      refreshToken
+    });
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/auth/login-admin/verify-2fa', async (req, res) => {
+  try {
+    const outcome = await completeAdminMfaLogin(req);
+    if (!outcome.admin) {
+      return sendLoginRejection(res, outcome);
+    }
+    const { admin, recoveryCodes } = outcome;
+    const { token, refreshToken } = await createSession('admin', admin, req);
+    res.json({
+      user: {
+        id: admin.id,
+        email: admin.email,
+        role: admin.role
+      },
+      token,
+      refreshToken,
+      ...(recoveryCodes ? { recovery_codes: recoveryCodes } : {})
+    });
+  } catch (error) {
+    console.error('Admin 2FA login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Password Reset (admins and candidates)
+// Step 1: request a reset link. The response is identical whether or not the email is
+// registered so the endpoint cannot be used to discover accounts.
+const requestPasswordReset = (defaultAccountType) => async (req, res) => {
+  try {
+    const { email } = req.body;
+    const accountType = req.body.account_type || defaultAccountType;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+    if (!ACCOUNT_TABLES[accountType]) {
+      return res.status(400).json({ error: 'account_type must be "admin" or "user"' });
+    }
+
+    const account = await pool.query(
+      `SELECT id, email FROM ${ACCOUNT_TABLES[accountType]} WHERE email = $1`,
+      [email]
+    );
+
+    // The token writes and the mail run after the response, so known and unknown emails take the
+    // same time to answer and a failed mail is only logged
+    if (account.rows.length > 0) {
+      const { id } = account.rows[0];
+      const token = generateSecureToken();
+      const resetUrl = `${APP_BASE_URL}/reset-password?token=${token}&type=${accountType}`;
+
+      (async () => {
+        // Only the most recent link stays valid
+        await pool.query(
+          `UPDATE password_reset_tokens SET used_at = NOW()
+           WHERE account_type = $1 AND account_id = $2 AND used_at IS NULL`,
+          [accountType, id]
+        );
+        await pool.query(
+          `INSERT INTO password_reset_tokens (account_type, account_id, token_hash, expires_at)
+           VALUES ($1, $2, $3, NOW() + ($4 * INTERVAL '1 minute'))`,
+          [accountType, id, hashToken(token), PASSWORD_RESET_TTL_MINUTES]
+        );
+        await sendMail({
+          to: email,
+          subject: 'Reset your JobSpeedy AI password',
+          text:
+            `We received a request to reset your password.\n\n` +
+            `Open this link to choose a new password:\n${resetUrl}\n\n` +
+            `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once. ` +
+            `If you did not request a reset, you can ignore this email.`
+        });
+      })().catch((mailError) => {
+        console.error('Password reset email error:', mailError);
+      });
+    }
+
+    res.json({ message: 'If an account exists for that email, a password reset link has been sent' });
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Step 2: confirm the reset with the emailed token and the new password
+const confirmPasswordReset = async (req, res) => {
+  try {
+    const { token } = req.body;
+    const newPassword = req.body.newPassword ?? req.body.new_password;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({ error: 'token and newPassword are required' });
+    }
+    const passwordError = validateNewPassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+
+    // Claim the token in a single statement so it cannot be used twice
+    const claimed = await pool.query(
+      `UPDATE password_reset_tokens SET used_at = NOW()
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+       RETURNING account_type, account_id`,
+      [hashToken(token)]
+    );
+    if (claimed.rows.length === 0) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const { account_type, account_id } = claimed.rows[0];
+    const result = await pool.query(
+      `UPDATE ${ACCOUNT_TABLES[account_type]} SET password_hash = $1 WHERE id = $2 RETURNING id`,
+      [passwordHash, account_id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    // Sign out everywhere in case the old password was compromised
+    await revokeAllSessions(account_type, account_id);
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+app.post('/api/auth/forgot-password', requestPasswordReset('admin'));
+app.post('/api/auth/reset-password', confirmPasswordReset);
+app.post('/api/users/forgot-password', requestPasswordReset('user'));
+app.post('/api/users/reset-password', confirmPasswordReset);
+
+// Refresh: exchange a refresh token for a new access token. The refresh token rotates on
+// every call; presenting an already-rotated token revokes the session as a precaution.
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const refreshToken = req.body.refreshToken ?? req.body.refresh_token;
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'refreshToken is required' });
+    }
+
+    const [sessionId] = String(refreshToken).split('.');
+    if (!UUID_PATTERN.test(sessionId)) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const sessionResult = await pool.query(
+      `SELECT id, account_type, account_id, refresh_token_hash, previous_refresh_token_hash
+       FROM auth_sessions
+       WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()`,
+      [sessionId]
+    );
+    if (sessionResult.rows.length === 0) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const session = sessionResult.rows[0];
+    const presentedHash = hashToken(refreshToken);
+    if (presentedHash === session.previous_refresh_token_hash) {
+      await revokeSession(session.id);
+      return res.status(401).json({ error: 'Refresh token reuse detected; session revoked' });
+    }
+    if (presentedHash !== session.refresh_token_hash) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const account = await pool.query(
+      `SELECT id, email FROM ${ACCOUNT_TABLES[session.account_type]} WHERE id = $1`,
+      [session.account_id]
+    );
+    if (account.rows.length === 0) {
+      await revokeSession(session.id);
+      return res.status(401).json({ error: 'Account no longer exists' });
+    }
+
+    const nextRefreshToken = `${session.id}.${generateSecureToken()}`;
+    const rotated = await pool.query(
+      `UPDATE auth_sessions
+       SET previous_refresh_token_hash = refresh_token_hash, refresh_token_hash = $1, last_used_at = NOW()
+       WHERE id = $2 AND refresh_token_hash = $3
+       RETURNING id`,
+      [hashToken(nextRefreshToken), session.id, presentedHash]
+    );
+    if (rotated.rows.length === 0) {
+      // Another request rotated this token first
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    res.json({
+      token: signAccessToken(session.account_type, account.rows[0], session.id),
+      refreshToken: nextRefreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout: revoke the current session, identified by the refresh token or the access token
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const refreshToken = req.body.refreshToken ?? req.body.refresh_token;
+    const accessToken = req.headers.authorization?.split(' ')[1];
+
+    if (refreshToken) {
+      const [sessionId] = String(refreshToken).split('.');
+      if (UUID_PATTERN.test(sessionId)) {
+        await pool.query(
+          'UPDATE auth_sessions SET revoked_at = NOW() WHERE id = $1 AND refresh_token_hash = $2 AND revoked_at IS NULL',
+          [sessionId, hashToken(refreshToken)]
+        );
+      }
+    } else if (accessToken) {
+      let decoded;
+      try {
+        // An expired access token is still good enough to end its own session
+        decoded = jwt.verify(accessToken, JWT_SECRET, { ignoreExpiration: true });
+      } catch (error) {
+        return res.status(401).json({ error: 'Invalid token' });
+      }
+      if (decoded.sid && UUID_PATTERN.test(decoded.sid)) {
+        await revokeSession(decoded.sid);
+      }
+    } else {
+      return res.status(400).json({ error: 'refreshToken or Authorization header is required' });
+    }
+
+    res.json({ success: true, message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout All Devices: revoke every session of the signed-in account
+app.post('/api/auth/logout-all', verifyToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.type, req.user.id);
+    res.json({ success: true, message: 'Logged out from all devices', revoked_sessions: revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List Active Sessions of the signed-in account
+app.get('/api/auth/sessions', verifyToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+       FROM auth_sessions
+       WHERE account_type = $1 AND account_id = $2 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC`,
+      [req.user.type, req.user.id]
+    );
+    const sessions = result.rows.map((session) => ({
+      ...session,
+      current: session.id === req.user.sid
+    }));
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// JOBS APIs
+// ============================================
+
+// Get All Jobs (Public)
+app.get('/api/jobs', async (req, res) => {
+  try {
+    const { limit, offset } = req.query;
+
+    // Admins (and API keys with jobs:read) also see unpublished jobs and hidden salaries
+    const includeUnpublished = await canSeeUnpublishedJobs(req);
+    const { geo, status: geoStatus, error: geoError } = await resolveJobGeoFilter(req.query, { trusted: includeUnpublished });
+    if (geoError) {
+      return res.status(geoStatus).json({ error: geoError });
+    }
+    const options = { includeUnpublished, includeHiddenSalaries: includeUnpublished, geo };
+
+    const params = [];
+    const { where, searchQuery, distance } = buildJobsFilter(req.query, params, options);
+    // Count uses the same filters, no pagination
+    const countParams = [...params];
+
+    // With a search term, results are ordered by relevance and carry highlighted snippets
+    const searchColumns = searchQuery
+      ? `,
+        ts_rank_cd(${JOB_SEARCH_DOCUMENT}, ${searchQuery}, 1) AS search_rank,
+        ts_headline(job_search_config(j.language), j.title, ${searchQuery},
+          'HighlightAll=true, StartSel=<mark>, StopSel=</mark>') AS title_highlight,
+        ts_headline(job_search_config(j.language), COALESCE(j.description, ''), ${searchQuery},
+          '${JOB_SEARCH_HEADLINE_OPTIONS}') AS search_snippet`
+      : '';
+
+    let query = `
+      SELECT 
+        j.*,
+        COALESCE(j.company, c.company) AS company,
+        c.company AS client_company,
+        j.location,
+        j.job_type,
+        j.category,
+        j.language${searchColumns}${distance ? `,
+        ROUND((${distance})::numeric, 1)::float8 AS distance_km` : ''}
+      FROM jobs j
+      LEFT JOIN clients c ON j.client_id = c.id
+      WHERE ${where}
+    `;
+    let paramCount = params.length;
+
+    // A radius search lists the nearest jobs first (remote jobs without coordinates last)
+    const orderBy = [
+      distance && 'distance_km ASC NULLS LAST',
+      searchQuery && 'search_rank DESC',
+      'j.created_at DESC'
+    ].filter(Boolean);
+    query += ` ORDER BY ${orderBy.join(', ')}`;
+
+    if (limit) {
+      paramCount++;
+      query += ` LIMIT $${paramCount}`;
+      params.push(parseInt(limit));
+    }
+    if (offset) {
+      paramCount++;
+      query += ` OFFSET $${paramCount}`;
+      params.push(parseInt(offset));
+    }
+
+    const countQuery = `
+      SELECT COUNT(*) as count
+      FROM jobs j
+      LEFT JOIN clients c ON j.client_id = c.id
+      WHERE ${where}
+    `;
+
+    const [result, countResult, facets] = await Promise.all([
+      pool.query(query, params),
+      pool.query(countQuery, countParams),
+      req.query.facets === 'true' ? getJobFacets(req.query, options) : null
+    ]);
+
+    const jobs = await localizeJobs(result.rows.map(withSalaryAmounts), requestedLanguages(req));
+
+    res.vary('Accept-Language');
+    res.json({
+      jobs: includeUnpublished ? jobs : jobs.map(withoutHiddenSalary),
+      count: parseInt(countResult.rows[0].count),
+      ...(geo && {
+        near: { latitude: geo.latitude, longitude: geo.longitude, radius_km: geo.radiusKm, place: geo.place }
+      }),
+      ...(facets && { facets })
+    });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get Single Job by ID (Public)
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      `SELECT 
+        j.*,
+        COALESCE(j.company, c.company) AS company,
+        c.company AS client_company,
+        j.location,
+        j.job_type,
+        j.category,
+        j.language
+      FROM jobs j
+      LEFT JOIN clients c ON j.client_id = c.id
+      WHERE j.id = $1`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    // Unpublished jobs do not exist for the public
+    const job = result.rows[0];
+    const isPrivileged = await canSeeUnpublishedJobs(req);
+    if (isUnpublishedJob(job) && !isPrivileged) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const [localized] = await localizeJobs([withSalaryAmounts(job)], requestedLanguages(req));
+
+    res.vary('Accept-Language');
+    if (localized.content_language) res.set('Content-Language', localized.content_language);
+    res.json({ job: isPrivileged ? localized : withoutHiddenSalary(localized) });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create Job (Admin Only)
+app.post('/api/jobs', verifyAdminOrApiKey, requirePermission('jobs:write'), async (req, res) => {
+  try {
+    const input = normalizeJobInput(req.body);
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+    const fields = await geocodeJobLocation(input.fields);
+    const job = await withTransaction((client) => insertJob(client, fields, requestActor(req)));
+
+    res.status(201).json({ job });
+  } catch (error) {
+    console.error('Create job error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Update Job (Admin Only)
+app.put('/api/jobs/:id', verifyAdminOrApiKey, requirePermission('jobs:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const current = await pool.query('SELECT * FROM jobs WHERE id = $1', [id]);
+    if (current.rows.length === 0) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    const input = normalizeJobInput(req.body, current.rows[0]);
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+    const fields = await geocodeJobLocation(input.fields, current.rows[0]);
+
+    const availableCols = await getTableColumns('jobs');
+    const updates = [];
+    const values = [];
+    let param = 0;
+
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined && availableCols.includes(key)) {
+        param += 1;
+        updates.push(`${key} = $${param}`);
+        values.push(value);
+      }
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    updates.push(`updated_at = NOW()`);
+    param += 1;
+    values.push(id);
+
+    const actor = requestActor(req);
+    const reason = statusChangeReason(req.body);
+    const outcome = await withTransaction(async (client) => {
+      const previous = await client.query('SELECT * FROM jobs WHERE id = $1 FOR UPDATE', [id]);
+      if (previous.rows.length === 0) return { status: 404, error: 'Job not found' };
+
+      // A new status has to be reachable by a lifecycle action the request may run; moving between
+      // Open and Scheduled only follows publish_at
+      const from = previous.rows[0].status;
+      const published = ['Open', 'Scheduled'];
+      let action = null;
+      if (fields.status !== undefined && fields.status !== from && !(published.includes(from) && published.includes(fields.status))) {
+        action = findJobLifecycleAction(from, fields.status);
+        if (!action) {
+          return { status: 409, error: `A job that is ${from} cannot become ${fields.status}` };
+        }
+        const denied = await jobLifecycleActionError(client, req, previous.rows[0], action, reason);
+        if (denied) return denied;
+      }
+
+      const result = await client.query(
+        `UPDATE jobs SET ${updates.join(', ')} WHERE id = $${param} RETURNING *`,
+        values
+      );
+      const job = withSalaryAmounts(result.rows[0]);
+      await recordJobRevision(client, job, 'update', actor, { previous: previous.rows[0] });
+      if (job.status !== from) {
+        await recordJobStatusTransition(client, job.id, { from, to: job.status, action: action || 'update', reason }, actor);
+      }
+      return { job };
+    });
+
+    if (outcome.error) {
+      const { status, ...body } = outcome;
+      return res.status(status).json(body);
+    }
+
+    res.json(outcome);
+  } catch (error) {
+    console.error('Update job error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Delete Job (Admin Only)
+app.delete('/api/jobs/:id', verifyAdminOrApiKey, requirePermission('jobs:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query('DELETE FROM jobs WHERE id = $1 RETURNING id', [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ success: true, message: 'Job deleted successfully', id: parseInt(id) });
+  } catch (error) {
+    console.error('Delete job error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Job Lifecycle (Admin Only): the statuses, the actions between them and whether approval is required
+app.get('/api/admin/jobs/lifecycle', verifyAdminOrApiKey, requirePermission('jobs:read'), (req, res) => {
+  res.json({
+    statuses: JOB_STATUSES,
+    initial_statuses: JOB_INITIAL_STATUSES,
+    default_status: JOB_DEFAULT_STATUS,
+    approval_required: JOB_APPROVAL_REQUIRED,
+    actions: Object.entries(JOB_LIFECYCLE_ACTIONS)
+      .filter(([, action]) => !(action.bypassesApproval && JOB_APPROVAL_REQUIRED))
+      .map(([name, action]) => ({
+        name,
+        from: action.from,
+        to: action.to,
+        permission: action.permission,
+        reason_required: Boolean(action.reasonRequired)
+      }))
+  });
+});
+
+// Job Status History (Admin Only), newest first, with the actions the caller can run on the job now
+app.get('/api/jobs/:id/transitions', verifyAdminOrApiKey, requirePermission('jobs:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const job = await pool.query('SELECT id, status FROM jobs WHERE id = $1', [id]);
+    if (job.rows.length === 0) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM job_status_transitions WHERE job_id = $1 ORDER BY created_at DESC, id DESC',
+      [id]
+    );
+    const status = job.rows[0].status;
+    const availableActions = Object.keys(JOB_LIFECYCLE_ACTIONS).filter((name) => {
+      const action = JOB_LIFECYCLE_ACTIONS[name];
+      return (
+        action.from.includes(status) &&
+        hasPermission(req.apiKey || req.admin, action.permission) &&
+        !(action.bypassesApproval && JOB_APPROVAL_REQUIRED)
+      );
+    });
+
+    res.json({ status, available_actions: availableActions, transitions: result.rows, count: result.rows.length });
+  } catch (error) {
+    console.error('Get job transitions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change a Job's Status (Admin Only) with a lifecycle action: POST /api/jobs/:id/submit, /approve,
+// /reject, /withdraw, /publish, /pause, /resume, /close, /fill, /reopen, /archive or /unarchive.
+// An optional `reason` (required to reject) is logged with who made the change.
+app.post(
+  `/api/jobs/:id/:action(${Object.keys(JOB_LIFECYCLE_ACTIONS).join('|')})`,
+  verifyAdminOrApiKey,
+  (req, res, next) => requirePermission(JOB_LIFECYCLE_ACTIONS[req.params.action].permission)(req, res, next),
+  async (req, res) => {
+    try {
+      const { id, action } = req.params;
+      const reason = statusChangeReason(req.body);
+      const actor = requestActor(req);
+
+      const outcome = await withTransaction(async (client) => {
+        const current = await client.query('SELECT * FROM jobs WHERE id = $1 FOR UPDATE', [id]);
+        if (current.rows.length === 0) {
+          return { status: 404, error: 'Job not found' };
+        }
+        const job = current.rows[0];
+        const denied = await jobLifecycleActionError(client, req, job, action, reason);
+        if (denied) return denied;
+
+        // Opening follows publish_at (Open or Scheduled) and needs an expiry date that is still ahead
+        const schedule = normalizeJobSchedule({ status: JOB_LIFECYCLE_ACTIONS[action].to }, job);
+        if (schedule.error) {
+          return { status: 409, error: schedule.error };
+        }
+
+        const result = await client.query(
+          'UPDATE jobs SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+          [schedule.fields.status, id]
+        );
+        await recordJobRevision(client, result.rows[0], 'update', actor, { previous: job });
+        const transition = await recordJobStatusTransition(
+          client,
+          job.id,
+          { from: job.status, to: result.rows[0].status, action, reason },
+          actor
+        );
+        return { job: withSalaryAmounts(result.rows[0]), transition };
+      });
+
+      if (outcome.error) {
+        const { status, ...body } = outcome;
+        return res.status(status).json(body);
+      }
+
+      res.json(outcome);
+    } catch (error) {
+      console.error('Change job status error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// List Job Revisions (Admin Only), newest first; snapshots are fetched per revision
+app.get('/api/jobs/:id/revisions', verifyAdminOrApiKey, requirePermission('jobs:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      `SELECT ${JOB_REVISION_SUMMARY_COLUMNS} FROM job_revisions WHERE job_id = $1 ORDER BY revision_number DESC`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      const job = await pool.query('SELECT id FROM jobs WHERE id = $1', [id]);
+      if (job.rows.length === 0) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+    }
+
+    res.json({ revisions: result.rows, count: result.rows.length });
+  } catch (error) {
+    console.error('Get job revisions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Diff Two Job Revisions (Admin Only). ?to defaults to the latest revision, ?from to the one before it
+app.get('/api/jobs/:id/revisions/diff', verifyAdminOrApiKey, requirePermission('jobs:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    let to = req.query.to !== undefined ? parseInt(req.query.to) : null;
+    if (to === null) {
+      const latest = await pool.query('SELECT MAX(revision_number) AS latest FROM job_revisions WHERE job_id = $1', [id]);
+      to = latest.rows[0].latest;
+    }
+    const from = req.query.from !== undefined ? parseInt(req.query.from) : to - 1;
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ error: 'from and to must be revision numbers' });
+    }
+
+    const result = await pool.query(
+      `SELECT ${JOB_REVISION_SUMMARY_COLUMNS}, snapshot FROM job_revisions
+       WHERE job_id = $1 AND revision_number = ANY($2::int[])`,
+      [id, [from, to]]
+    );
+    const fromRevision = result.rows.find((row) => row.revision_number === from);
+    const toRevision = result.rows.find((row) => row.revision_number === to);
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const { snapshot: fromSnapshot, ...fromSummary } = fromRevision;
+    const { snapshot: toSnapshot, ...toSummary } = toRevision;
+    const changes = diffJobSnapshots(fromSnapshot, toSnapshot);
+    res.json({ from: fromSummary, to: toSummary, changes, count: changes.length });
+  } catch (error) {
+    console.error('Diff job revisions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get One Job Revision (Admin Only), with the full snapshot
+app.get('/api/jobs/:id/revisions/:revision', verifyAdminOrApiKey, requirePermission('jobs:read'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT ${JOB_REVISION_SUMMARY_COLUMNS}, snapshot FROM job_revisions WHERE job_id = $1 AND revision_number = $2`,
+      [req.params.id, parseInt(req.params.revision) || 0]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({ revision: result.rows[0] });
+  } catch (error) {
+    console.error('Get job revision error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Restore a Job Revision (Admin Only): writes the old content back as a new update, so the
+// history stays intact. Status and the publishing window are not rolled back.
+app.post('/api/jobs/:id/revisions/:revision/restore', verifyAdminOrApiKey, requirePermission('jobs:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const revisionNumber = parseInt(req.params.revision) || 0;
+    const availableCols = await getTableColumns('jobs');
+
+    const outcome = await withTransaction(async (client) => {
+      const current = await client.query('SELECT * FROM jobs WHERE id = $1 FOR UPDATE', [id]);
+      if (current.rows.length === 0) {
+        return { status: 404, error: 'Job not found' };
+      }
+      const revision = await client.query(
+        'SELECT snapshot FROM job_revisions WHERE job_id = $1 AND revision_number = $2',
+        [id, revisionNumber]
+      );
+      if (revision.rows.length === 0) {
+        return { status: 404, error: 'Revision not found' };
+      }
+
+      // Columns dropped since the revision was taken are skipped
+      const changes = diffJobSnapshots(jobRevisionSnapshot(current.rows[0]), revision.rows[0].snapshot).filter(
+        ({ field }) => availableCols.includes(field) && !JOB_RESTORE_SKIPPED_FIELDS.includes(field)
+      );
+      if (changes.length === 0) {
+        return { status: 409, error: 'The job already matches this revision' };
+      }
+
+      const updates = changes.map(({ field }, index) => `${field} = $${index + 1}`);
+      updates.push('updated_at = NOW()');
+      const result = await client.query(
+        `UPDATE jobs SET ${updates.join(', ')} WHERE id = $${changes.length + 1} RETURNING *`,
+        [...changes.map((change) => change.to), id]
+      );
+      const restored = await recordJobRevision(client, result.rows[0], 'restore', requestActor(req), {
+        previous: current.rows[0],
+        restoredFrom: revisionNumber
+      });
+      return { job: withSalaryAmounts(result.rows[0]), revision: restored };
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    res.json(outcome);
+  } catch (error) {
+    console.error('Restore job revision error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List Job Translations (Admin Only); `outdated` marks translations older than the job's last change
+app.get('/api/jobs/:id/translations', verifyAdminOrApiKey, requirePermission('jobs:read'), async (req, res) => {
+  try {
+    const job = await pool.query('SELECT id, language, updated_at FROM jobs WHERE id = $1', [req.params.id]);
+    if (job.rows.length === 0) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT t.*, t.updated_at < $2 AS outdated
+       FROM job_translations t WHERE t.job_id = $1 ORDER BY t.language`,
+      [req.params.id, job.rows[0].updated_at]
+    );
+
+    res.json({
+      primary_language: toLanguageCode(job.rows[0].language),
+      translations: result.rows,
+      count: result.rows.length
+    });
+  } catch (error) {
+    console.error('Get job translations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create or Replace a Job Translation (Admin Only)
+app.put('/api/jobs/:id/translations/:lang', verifyAdminOrApiKey, requirePermission('jobs:write'), async (req, res) => {
+  try {
+    const target = await getTranslatableJob(req.params.id, req.params.lang);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
+
+    const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+    if (!title) {
+      return res.status(400).json({ error: 'title is required' });
+    }
+
+    const translation = await saveJobTranslation(
+      target.job.id,
+      target.language,
+      { title, description: req.body.description || null, requirements: toStringList(req.body.requirements) },
+      'manual'
+    );
+    res.json({ translation });
+  } catch (error) {
+    console.error('Save job translation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Translate a Job with AI (Admin Only). Stores the result as the job's translation; a manual
+// translation is only replaced with ?overwrite=true.
+app.post('/api/jobs/:id/translations/:lang/ai', verifyAdminOrApiKey, requirePermission('jobs:write'), async (req, res) => {
+  try {
+    if (!openai) {
+      return res.status(503).json({
+        error: 'AI not configured',
+        message: 'Set AI_SERVICE_API_KEY / OPENAI_API_KEY to enable AI translation.'
+      });
+    }
+
+    const target = await getTranslatableJob(req.params.id, req.params.lang);
+    if (target.error) {
+      return res.status(target.status).json({ error: target.error });
+    }
+
+    const existing = await pool.query(
+      'SELECT source FROM job_translations WHERE job_id = $1 AND language = $2',
+      [target.job.id, target.language]
+    );
+    if (existing.rows[0]?.source === 'manual' && req.query.overwrite !== 'true') {
+      return res.status(409).json({ error: 'A manual translation exists; use ?overwrite=true to replace it' });
+    }
+
+    let translated;
+    try {
+      translated = await translateJobWithAi(target.job, target.language);
+    } catch (aiError) {
+      console.error('OpenAI API error:', aiError);
+      return res.status(502).json({ error: 'AI translation failed', message: aiError.message });
+    }
+    if (!translated) {
+      return res.status(502).json({ error: 'AI translation failed', message: 'The AI reply was not a usable translation' });
+    }
+
+    const translation = await saveJobTranslation(target.job.id, target.language, translated, 'ai');
+    res.json({ translation });
+  } catch (error) {
+    console.error('AI job translation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a Job Translation (Admin Only)
+app.delete('/api/jobs/:id/translations/:lang', verifyAdminOrApiKey, requirePermission('jobs:write'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM job_translations WHERE job_id = $1 AND language = $2 RETURNING id',
+      [req.params.id, toLanguageCode(req.params.lang)]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Translation not found' });
+    }
+    res.json({ success: true, message: 'Translation deleted successfully' });
+  } catch (error) {
+    console.error('Delete job translation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Clone a Job (Admin Only): a new job with the content of an existing one; the body holds
+// overrides such as client_id or location. Status and publishing dates start fresh.
+app.post('/api/jobs/:id/clone', verifyAdminOrApiKey, requirePermission('jobs:write'), async (req, res) => {
+  try {
+    const source = await pool.query('SELECT * FROM jobs WHERE id = $1', [req.params.id]);
+    if (source.rows.length === 0) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const sourceJob = source.rows[0];
+    const base = { ...pickJobTemplateFields(sourceJob), latitude: sourceJob.latitude, longitude: sourceJob.longitude };
+    const input = normalizeDerivedJobInput(base, req.body || {});
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+    const fields = await geocodeJobLocation({
+      ...input.fields,
+      template_id: sourceJob.template_id,
+      cloned_from_job_id: sourceJob.id
+    });
+    const job = await withTransaction((client) => insertJob(client, fields, requestActor(req)));
+
+    res.status(201).json({ job });
+  } catch (error) {
+    console.error('Clone job error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Publishing Schedule (Admin Only): upcoming, soon-expiring and recently expired postings
+app.get('/api/admin/jobs/schedule', verifyAdminOrApiKey, requirePermission('jobs:read'), async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 365);
+    const columns = `
+      j.id, j.title, j.status, COALESCE(j.company, c.company) AS company, j.location,
+      j.publish_at, j.expires_at, j.updated_at`;
+
+    const [upcoming, expiringSoon, recentlyExpired] = await Promise.all([
+      pool.query(
+        `SELECT ${columns} FROM jobs j LEFT JOIN clients c ON j.client_id = c.id
+         WHERE j.status = 'Scheduled'
+         ORDER BY j.publish_at ASC`
+      ),
+      pool.query(
+        `SELECT ${columns} FROM jobs j LEFT JOIN clients c ON j.client_id = c.id
+         WHERE j.status = 'Open' AND j.expires_at > NOW() AND j.expires_at <= NOW() + ($1 * INTERVAL '1 day')
+         ORDER BY j.expires_at ASC`,
+        [days]
+      ),
+      pool.query(
+        `SELECT ${columns} FROM jobs j LEFT JOIN clients c ON j.client_id = c.id
+         WHERE j.status = 'Closed' AND j.expires_at <= NOW() AND j.expires_at > NOW() - ($1 * INTERVAL '1 day')
+         ORDER BY j.expires_at DESC`,
+        [days]
+      )
+    ]);
+
+    res.json({
+      days,
+      upcoming: upcoming.rows,
+      expiring_soon: expiringSoon.rows,
+      recently_expired: recentlyExpired.rows
+    });
+  } catch (error) {
+    console.error('Get job schedule error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Run the Scheduler Now (Admin Only), instead of waiting for the next interval
+app.post('/api/admin/jobs/schedule/run', verifyAdminOrApiKey, requirePermission('jobs:write'), async (req, res) => {
+  try {
+    const result = await runJobScheduler();
+    if (!result) {
+      return res.status(409).json({ error: 'The scheduler is already running on another instance' });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Run job scheduler error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Geocode Jobs (Admin Only): fills in coordinates and the remote flag of jobs from their location.
+// By default only jobs that have a location but no coordinates; ?all=true redoes every job. The
+// location text is left as it is, and a place that cannot be resolved (or a geocoder error) keeps
+// the coordinates the job has and is listed in `unresolved`.
+app.post('/api/admin/jobs/geocode', verifyAdminOrApiKey, requirePermission('jobs:write'), async (req, res) => {
+  try {
+    const redoAll = req.query.all === 'true';
+    const result = await pool.query(
+      `SELECT id, location FROM jobs
+       WHERE location IS NOT NULL AND location <> ''${redoAll ? '' : ' AND latitude IS NULL'}
+       ORDER BY id`
+    );
+
+    const unresolved = [];
+    let geocoded = 0;
+    for (const { id, location } of result.rows) {
+      const split = splitRemoteLocation(location);
+      let point = null;
+      if (split.location) {
+        try {
+          point = await geocodePlace(split.location);
+        } catch (error) {
+          console.error('Geocode job location error:', error);
+        }
+        if (!point) unresolved.push({ id, location });
+      }
+
+      await withTransaction(async (client) => {
+        const previous = await client.query('SELECT * FROM jobs WHERE id = $1 FOR UPDATE', [id]);
+        if (previous.rows.length === 0) return;
+        const current = previous.rows[0];
+        const latitude = point ? point.latitude : current.latitude;
+        const longitude = point ? point.longitude : current.longitude;
+        // Only ever sets the remote flag, so an explicit is_remote = false on a job is kept
+        const isRemote = current.is_remote || split.is_remote;
+        const unchanged =
+          current.latitude === latitude && current.longitude === longitude && current.is_remote === isRemote;
+        if (unchanged) return;
+
+        const updated = await client.query(
+          `UPDATE jobs SET latitude = $1, longitude = $2, is_remote = $3, updated_at = NOW()
+           WHERE id = $4 RETURNING *`,
+          [latitude, longitude, isRemote, id]
+        );
+        await recordJobRevision(client, updated.rows[0], 'update', requestActor(req), { previous: current });
+        if (point) geocoded++;
+      });
+    }
+
+    res.json({ processed: result.rows.length, geocoded, unresolved, geocoder: GEOCODER });
+  } catch (error) {
+    console.error('Geocode jobs error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Import Jobs (Admin Only) from CSV or JSON; every row goes through the same normalization as
+// POST /api/jobs. ?dry_run=true only reports what would happen; ?mode=per_row keeps the rows that
+// succeed instead of importing nothing when one fails (mode=all_or_nothing, the default).
+app.post('/api/admin/jobs/import', verifyAdminOrApiKey, requirePermission('jobs:write'), jobImportBody, jobImportUpload, async (req, res) => {
+  try {
+    const option = (name) => req.query[name] ?? (req.body && typeof req.body === 'object' ? req.body[name] : undefined);
+    const dryRun = toBoolean(option('dry_run')) === true;
+    const mode = option('mode') || 'all_or_nothing';
+    if (!JOB_IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${JOB_IMPORT_MODES.join(', ')}` });
+    }
+
+    const input = readJobImportRows(req);
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+
+    const rows = await validateJobImportRows(input.rows, req.apiKey || req.admin);
+    // Geocoding may call an external service, so it happens before the transaction and not in a dry run
+    if (!dryRun) {
+      for (const row of rows) {
+        if (row.fields) row.fields = await geocodeJobLocation(row.fields);
+      }
+    }
+    const results = await runJobImport(rows, { mode, dryRun }, requestActor(req));
+
+    const count = (status) => results.filter((result) => result.status === status).length;
+    const summary = { dry_run: dryRun, mode, total: results.length, failed: count('failed') };
+    if (dryRun) {
+      return res.json({ ...summary, valid: count('valid'), results });
+    }
+    const created = count('created');
+    if (created === 0) {
+      return res.status(400).json({ error: 'No jobs were imported', ...summary, created, results });
+    }
+    res.status(201).json({ ...summary, created, results });
+  } catch (error) {
+    console.error('Import jobs error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Export Jobs (Admin Only) as CSV (default) or JSON (?format=json), with the filters of GET /api/jobs.
+// Unpublished jobs and hidden salaries are included.
+app.get('/api/admin/jobs/export', verifyAdminOrApiKey, requirePermission('jobs:read'), async (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'format must be csv or json' });
+    }
+    const { geo, status: geoStatus, error: geoError } = await resolveJobGeoFilter(req.query, { trusted: true });
+    if (geoError) {
+      return res.status(geoStatus).json({ error: geoError });
+    }
+
+    const params = [];
+    const { where, distance } = buildJobsFilter(req.query, params, {
+      includeUnpublished: true,
+      includeHiddenSalaries: true,
+      geo
+    });
+    const result = await pool.query(
+      `SELECT j.* FROM jobs j
+       LEFT JOIN clients c ON j.client_id = c.id
+       WHERE ${where}
+       ORDER BY ${distance ? `${distance} ASC NULLS LAST, ` : ''}j.id`,
+      params
+    );
+
+    const jobs = result.rows
+      .map(withSalaryAmounts)
+      .map((job) => Object.fromEntries(JOB_EXPORT_COLUMNS.map((column) => [column, job[column] ?? null])));
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.set('Content-Disposition', `attachment; filename="jobs-export-${stamp}.${format}"`);
+    if (format === 'json') {
+      return res.json({ jobs, count: jobs.length });
+    }
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.send(toCsv(JOB_EXPORT_COLUMNS, jobs));
+  } catch (error) {
+    console.error('Export jobs error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get Applications for a Job (Admin Only)
+app.get('/api/jobs/:jobId/applications', verifyAdminOrApiKey, requirePermission('applications:read'), async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const result = await pool.query(
+      `SELECT 
+        a.*,
+        u.full_name,
+        u.email
+      FROM applications a
+      LEFT JOIN users u ON a.user_id = u.id
+      WHERE a.job_id = $1
+      ORDER BY a.created_at DESC`,
+      [jobId]
+    );
+
+    const canReadResumes = hasPermission(req.apiKey || req.admin, 'resumes:read');
+    res.json({
+      applications: canReadResumes ? result.rows : result.rows.map(withoutResumeData),
+      count: result.rows.length
+    });
+  } catch (error) {
+    console.error('Get job applications error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Generate Job Ad (Admin Only)
+app.post('/api/jobs/generate-ad', verifyAdminOrApiKey, requirePermission('jobs:write'), async (req, res) => {
+  try {
+    const { description } = req.body;
+    
+    if (!description) {
+      return res.status(400).json({ error: 'description is required' });
+    }
+
+    // Use OpenAI if available, otherwise return placeholder
+    if (openai) {
+      try {
+        const completion = await openai.chat.completions.create({
+          model: 'gpt-3.5-turbo',
+          messages: [
+            {
+              role: 'system',
+              content: 'You are a job posting expert. Generate a structured job posting from the given description. Return a JSON object with: title, company (optional), department, location (optional), job_type (optional), category (optional), language (optional), description, required_skills (array), and requirements (array).'
+            },
+            {
+              role: 'user',
+              content: `Generate a job posting from this description: ${description}`
+            }
+          ],
+          temperature: 0.7,
+          max_tokens: 1000
+        });
+
+        const aiResponse = completion.choices[0]?.message?.content;
+        let jobAd;
+        
+        try {
+          // Try to parse JSON response
+          jobAd = JSON.parse(aiResponse);
+        } catch (e) {
+          // If not JSON, create structured response from text
+          jobAd = {
+            title: description.split(' ').slice(0, 5).join(' ') + ' Position',
+            company: null,
+            department: null,
+            location: null,
+            job_type: null,
+            category: null,
+            language: null,
+            status: null,
+            description: aiResponse || description,
+            required_skills: [],
+            requirements: []
+          };
+        }
+
+        res.json({ jobAd });
+      } catch (aiError) {
+        console.error('OpenAI API error:', aiError);
+        // Fallback to placeholder
+        const jobAd = {
+          title: description.split(' ').slice(0, 5).join(' ') + ' Position',
+          company: null,
+          department: null,
+          location: null,
+          job_type: null,
+          category: null,
+          language: null,
+          status: null,
+          description: description || '',
+          required_skills: [],
+          requirements: []
+        };
+        res.json({ jobAd });
+      }
+    } else {
+      // Placeholder response when OpenAI is not configured
+      const jobAd = {
+        title: description ? description.split(' ').slice(0, 5).join(' ') + ' Position' : 'New Position',
+        company: null,
+        department: null,
+        location: null,
+        job_type: null,
+        category: null,
+        language: null,
+        status: null,
+        description: description || '',
+        required_skills: [],
+        requirements: []
+      };
+      res.json({ jobAd });
+    }
+  } catch (error) {
+    console.error('Generate job ad error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get XML Feed for Job Portal
+app.get('/api/jobs/:id/xml-feed/:portal', async (req, res) => {
+  try {
+    const { id, portal } = req.params;
+    const format = getFeedFormat(portal);
+    if (!format) {
+      return res.status(400).json({ error: `Unknown portal: ${portal}`, supported_portals: Object.keys(JOB_FEED_FORMATS) });
+    }
+
+    const result = await pool.query(
+      `SELECT 
+        j.*,
+        COALESCE(j.company, c.company) AS company,
+        c.company AS client_company
+      FROM jobs j 
+      LEFT JOIN clients c ON j.client_id = c.id 
+      WHERE j.id = $1`,
+      [id]
+    );
+
+    // Unpublished jobs do not exist for the public, as in GET /api/jobs/:id
+    if (result.rows.length === 0 || (isUnpublishedJob(result.rows[0]) && !(await canSeeUnpublishedJobs(req)))) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const job = toFeedJob(result.rows[0]);
+    const missingFields = missingFeedFields(format, job);
+    if (missingFields.length > 0) {
+      return res.status(422).json({
+        error: `Job is missing fields required by the ${portal} feed`,
+        missing_fields: missingFields
+      });
+    }
+
+    const xml = format.renderDocument([format.renderJob(job)], { updatedAt: job.updated_at || new Date(), single: true });
+
+    res.set('Content-Type', 'application/xml');
+    res.send(xml);
+  } catch (error) {
+    console.error('XML feed error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get schema.org JobPosting JSON-LD for an open job (Public)
+app.get('/api/jobs/:id/json-ld', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      `SELECT 
+        j.*,
+        COALESCE(j.company, c.company) AS company,
+        c.company AS client_company
+      FROM jobs j
+      LEFT JOIN clients c ON j.client_id = c.id
+      WHERE j.id = $1`,
+      [id]
+    );
+
+    if (result.rows.length === 0 || isUnpublishedJob(result.rows[0])) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    // Search engines should drop postings that are no longer open
+    if (result.rows[0].status !== 'Open') {
+      return res.status(410).json({ error: 'Job is no longer open' });
+    }
+
+    res.set('Content-Type', 'application/ld+json');
+    res.send(JSON.stringify(toJobPostingJsonLd(result.rows[0])));
+  } catch (error) {
+    console.error('Job JSON-LD error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+function escapeXml(unsafe) {
+  return unsafe.replace(/[<>&'"]/g, (c) => {
+    switch (c) {
+      case '<': return '&lt;';
+      case '>': return '&gt;';
+      case '&': return '&amp;';
+      case '\'': return '&apos;';
+      case '"': return '&quot;';
+      default: return c;
+    }
+  });
+}
+
+// ============================================
+// JOB TEMPLATES APIs
+// ============================================
+
+// Create Job Template (Admin Only): from `fields`, or from an existing job with from_job_id
+app.post('/api/admin/job-templates', verifyAdminOrApiKey, requirePermission('jobs:write'), async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const fromJobId = req.body.from_job_id ?? req.body.fromJobId;
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    let fields = req.body.fields;
+    if (fromJobId !== undefined && fromJobId !== null) {
+      const job = await pool.query('SELECT * FROM jobs WHERE id = $1', [fromJobId]);
+      if (job.rows.length === 0) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      fields = { ...pickJobTemplateFields(job.rows[0]), ...(fields || {}) };
+    }
+    const template = normalizeJobTemplateFields(fields);
+    if (template.error) {
+      return res.status(400).json({ error: template.error });
+    }
+
+    const actor = requestActor(req);
+    const result = await pool.query(
+      `INSERT INTO job_templates (name, description, fields, created_by_type, created_by_id)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [name, req.body.description || null, JSON.stringify(template.fields), actor.type, actor.id]
+    );
+
+    res.status(201).json({ template: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') { // Unique violation
+      return res.status(409).json({ error: 'A template with this name already exists' });
+    }
+    console.error('Create job template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List Job Templates (Admin Only), with how many jobs were created from each
+app.get('/api/admin/job-templates', verifyAdminOrApiKey, requirePermission('jobs:read'), async (req, res) => {
+  try {
+    const params = [];
+    let where = '';
+    if (req.query.search) {
+      params.push(`%${req.query.search}%`);
+      where = `WHERE t.name ILIKE $1 OR t.fields->>'title' ILIKE $1`;
+    }
+
+    const result = await pool.query(
+      `SELECT t.*, (SELECT COUNT(*) FROM jobs j WHERE j.template_id = t.id)::int AS jobs_created
+       FROM job_templates t
+       ${where}
+       ORDER BY t.name`,
+      params
+    );
+
+    res.json({ templates: result.rows, count: result.rows.length });
+  } catch (error) {
+    console.error('Get job templates error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get Job Template (Admin Only)
+app.get('/api/admin/job-templates/:id', verifyAdminOrApiKey, requirePermission('jobs:read'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM job_templates WHERE id = $1', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json({ template: result.rows[0] });
+  } catch (error) {
+    console.error('Get job template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update Job Template (Admin Only); `fields` replaces the stored fields as a whole
+app.put('/api/admin/job-templates/:id', verifyAdminOrApiKey, requirePermission('jobs:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updates = [];
+    const values = [];
+
+    if (req.body.name !== undefined) {
+      const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+      if (!name) {
+        return res.status(400).json({ error: 'name must not be empty' });
+      }
+      values.push(name);
+      updates.push(`name = $${values.length}`);
+    }
+    if (req.body.description !== undefined) {
+      values.push(req.body.description || null);
+      updates.push(`description = $${values.length}`);
+    }
+    if (req.body.fields !== undefined) {
+      const template = normalizeJobTemplateFields(req.body.fields);
+      if (template.error) {
+        return res.status(400).json({ error: template.error });
+      }
+      values.push(JSON.stringify(template.fields));
+      updates.push(`fields = $${values.length}`);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    values.push(id);
+    const result = await pool.query(
+      `UPDATE job_templates SET ${updates.join(', ')}, updated_at = NOW() WHERE id = $${values.length} RETURNING *`,
+      values
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({ template: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') { // Unique violation
+      return res.status(409).json({ error: 'A template with this name already exists' });
+    }
+    console.error('Update job template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete Job Template (Admin Only); jobs created from it keep their content
+app.delete('/api/admin/job-templates/:id', verifyAdminOrApiKey, requirePermission('jobs:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query('DELETE FROM job_templates WHERE id = $1 RETURNING id', [id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    res.json({ success: true, message: 'Template deleted successfully', id: parseInt(id) });
+  } catch (error) {
+    console.error('Delete job template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a Job from a Template (Admin Only); the body holds overrides such as client_id or location
+app.post('/api/admin/job-templates/:id/jobs', verifyAdminOrApiKey, requirePermission('jobs:write'), async (req, res) => {
+  try {
+    const template = await pool.query('SELECT id, fields FROM job_templates WHERE id = $1', [req.params.id]);
+    if (template.rows.length === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const input = normalizeDerivedJobInput(template.rows[0].fields, req.body || {});
+    if (input.error) {
+      return res.status(400).json({ error: input.error });
+    }
+    const fields = await geocodeJobLocation({ ...input.fields, template_id: template.rows[0].id });
+    const job = await withTransaction((client) => insertJob(client, fields, requestActor(req)));
+
+    res.status(201).json({ job });
+  } catch (error) {
+    console.error('Create job from template error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// JOB FEEDS APIs
+// ============================================
+
+// Aggregate Feed of all Open jobs (Public)
+// :format is rss, atom, json or a portal format; filters: client_id, category, location.
+// ETag and Last-Modified come from the newest updated_at of the jobs and of their clients (whose
+// company name the jobs may show), so unchanged feeds answer 304 without loading the jobs.
+app.get('/api/feeds/jobs/:format', async (req, res) => {
+  try {
+    const format = String(req.params.format).toLowerCase();
+    const aggregate = Object.prototype.hasOwnProperty.call(JOB_AGGREGATE_FEEDS, format) ? JOB_AGGREGATE_FEEDS[format] : null;
+    const portal = aggregate ? null : getFeedFormat(format);
+    if (!aggregate && !portal) {
+      return res.status(400).json({
+        error: `Unknown feed format: ${req.params.format}`,
+        supported_formats: [...Object.keys(JOB_AGGREGATE_FEEDS), ...Object.keys(JOB_FEED_FORMATS)]
+      });
+    }
+
+    const clientId = req.query.client_id ?? req.query.client;
+    if (clientId !== undefined && !/^\d+$/.test(String(clientId))) {
+      return res.status(400).json({ error: 'client_id must be a number' });
+    }
+
+    const params = [];
+    const filter = buildJobsFilter({ status: 'Open', category: req.query.category, location: req.query.location }, params);
+    let where = filter.where;
+    if (clientId !== undefined) {
+      params.push(parseInt(clientId));
+      where += ` AND j.client_id = $${params.length}`;
+    }
+
+    const stateResult = await pool.query(
+      `SELECT GREATEST(MAX(j.updated_at), MAX(c.updated_at)) AS last_modified, COUNT(*) AS count,
+         COUNT(c.id) AS client_count
+       FROM jobs j
+       LEFT JOIN clients c ON j.client_id = c.id
+       WHERE ${where}`,
+      params
+    );
+    const state = stateResult.rows[0];
+    const lastModified = new Date(state.last_modified || 0);
+    lastModified.setMilliseconds(0); // HTTP dates have second precision
+    const etag = `"${crypto
+      .createHash('sha256')
+      .update(JSON.stringify([format, req.query, lastModified.toISOString(), state.count, state.client_count]))
+      .digest('hex')
+      .slice(0, 32)}"`;
+
+    res.set('ETag', etag);
+    res.set('Last-Modified', lastModified.toUTCString());
+    res.set('Cache-Control', 'public, max-age=300');
+
+    const ifNoneMatch = req.headers['if-none-match'];
+    const ifModifiedSince = req.headers['if-modified-since'] ? new Date(req.headers['if-modified-since']) : null;
+    const notModified = ifNoneMatch
+      ? ifNoneMatch.split(',').map((value) => value.trim()).includes(etag)
+      : ifModifiedSince && !Number.isNaN(ifModifiedSince.getTime()) && lastModified <= ifModifiedSince;
+    if (notModified) {
+      return res.status(304).end();
+    }
+
+    const result = await pool.query(
+      `SELECT 
+        j.*,
+        COALESCE(j.company, c.company) AS company,
+        c.company AS client_company
+      FROM jobs j
+      LEFT JOIN clients c ON j.client_id = c.id
+      WHERE ${where}
+      ORDER BY j.created_at DESC`,
+      params
+    );
+    const jobs = result.rows.map(toFeedJob);
+    const meta = { feedUrl: `${PUBLIC_API_URL}${req.originalUrl}`, updatedAt: lastModified };
+
+    if (aggregate) {
+      res.set('Content-Type', aggregate.contentType);
+      return res.send(aggregate.render(jobs, meta));
+    }
+
+    // Portal feeds leave out jobs the portal would reject
+    const publishable = jobs.filter((job) => missingFeedFields(portal, job).length === 0);
+    res.set('X-Feed-Skipped-Jobs', String(jobs.length - publishable.length));
+    res.set('Content-Type', 'application/xml');
+    res.send(portal.renderDocument(publishable.map(portal.renderJob), meta));
+  } catch (error) {
+    console.error('Job feed error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// APPLICATIONS APIs
+// ============================================
+
+// Create Application (User)
+app.post('/api/applications', verifyToken, requireVerifiedEmail, upload.single('resume'), async (req, res) => {
+  try {
+    const { job_id, cover_letter, name, email, phone, ai_parsed_data } = req.body;
+
+    if (!job_id) {
+      return res.status(400).json({ error: 'job_id is required' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'resume file is required' });
+    }
+
+    // Only Open jobs take applications; unpublished ones do not exist for candidates
+    const job = /^\d+$/.test(String(job_id))
+      ? await pool.query('SELECT id, status, publish_at FROM jobs WHERE id = $1', [job_id])
+      : { rows: [] };
+    if (job.rows.length === 0 || isUnpublishedJob(job.rows[0])) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.rows[0].status !== 'Open') {
+      return res.status(409).json({ error: 'This job is not accepting applications', status: job.rows[0].status });
+    }
+
+    // Check if user already applied
+    const existingApp = await pool.query(
+      'SELECT id FROM applications WHERE user_id = $1 AND job_id = $2',
+      [req.user.id, job_id]
+    );
+
+    if (existingApp.rows.length > 0) {
+      return res.status(409).json({ error: 'You have already applied for this job' });
+    }
+
+    // Parse AI data if provided
+    let parsedData = null;
+    if (ai_parsed_data) {
+      try {
+        parsedData = typeof ai_parsed_data === 'string' ? JSON.parse(ai_parsed_data) : ai_parsed_data;
+      } catch (e) {
+        console.error('Error parsing AI data:', e);
+      }
+    }
+
+    const result = await pool.query(
+      `INSERT INTO applications (user_id, job_id, resume_data, resume_filename, resume_mime, cover_letter, ai_parsed_data)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, user_id, job_id, resume_url, resume_filename, resume_mime, cover_letter, status, ai_parsed_data, admin_notes, created_at, updated_at`,
+      [
+        req.user.id,
+        job_id,
+        req.file.buffer,
+        req.file.originalname,
+        req.file.mimetype,
+        cover_letter || null,
+        parsedData ? JSON.stringify(parsedData) : null
+      ]
+    );
+
+    res.status(201).json({ application: result.rows[0] });
+  } catch (error) {
+    console.error('Create application error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Get All Applications (Admin Only)
+app.get('/api/applications', verifyAdminOrApiKey, requirePermission('applications:read'), async (req, res) => {
+  try {
+    const { status, user_id, job_id, limit, offset } = req.query;
+
+    // Explicitly select columns to avoid BYTEA serialization issues
+    // Exclude resume_data (BYTEA) as it's binary and causes JSON issues
+    // Simplified: removed j.department as it may not exist in all databases
+    let query = `
+      SELECT 
+        a.id,
+        a.user_id,
+        a.job_id,
+        a.resume_url,
+        a.resume_filename,
+        a.resume_mime,
+        a.cover_letter,
+        a.status,
+        a.ai_parsed_data,
+        a.admin_notes,
+        a.created_at,
+        a.updated_at,
+        u.full_name,
+        u.email as user_email,
+        j.title as job_title
+      FROM applications a
+      LEFT JOIN users u ON a.user_id = u.id
+      LEFT JOIN jobs j ON a.job_id = j.id
+      WHERE 1=1
+    `;
+    const params = [];
+    let paramCount = 0;
+
+    // Build count query (same filters, no pagination)
+    let countQuery = `
+      SELECT COUNT(*) as count
+      FROM applications a
+      WHERE 1=1
+    `;
+    const countParams = [];
+    let countParamCount = 0;
+
+    if (status) {
+      paramCount++;
+      countParamCount++;
+      query += ` AND a.status = $${paramCount}`;
+      countQuery += ` AND a.status = $${countParamCount}`;
+      params.push(status);
+      countParams.push(status);
+    }
+    if (user_id) {
+      paramCount++;
+      countParamCount++;
+      query += ` AND a.user_id = $${paramCount}`;
+      countQuery += ` AND a.user_id = $${countParamCount}`;
+      params.push(user_id);
+      countParams.push(user_id);
+    }
+    if (job_id) {
+      paramCount++;
+      countParamCount++;
+      query += ` AND a.job_id = $${paramCount}`;
+      countQuery += ` AND a.job_id = $${countParamCount}`;
+      params.push(job_id);
+      countParams.push(job_id);
+    }
+
+    query += ' ORDER BY a.created_at DESC';
+
+    if (limit) {
+      paramCount++;
+      query += ` LIMIT $${paramCount}`;
+      params.push(parseInt(limit));
+    }
+    if (offset) {
+      paramCount++;
+      query += ` OFFSET $${paramCount}`;
+      params.push(parseInt(offset));
+    }
+
+    const [result, countResult] = await Promise.all([
+      pool.query(query, params),
+      pool.query(countQuery, countParams)
+    ]);
+
+    // Parse JSONB fields if they exist
+    const applications = result.rows.map(row => {
+      const app = { ...row };
+      // Parse ai_parsed_data if it's a string
+      if (app.ai_parsed_data && typeof app.ai_parsed_data === 'string') {
+        try {
+          app.ai_parsed_data = JSON.parse(app.ai_parsed_data);
+        } catch (e) {
+          // Keep as string if parsing fails
+        }
+      }
+      return app;
+    });
+
+    res.json({
+      applications: applications,
+      count: parseInt(countResult.rows[0]?.count || 0)
+    });
+  } catch (error) {
+    console.error('Get applications error:', error);
+    console.error('Error details:', {
+      message: error.message,
+      code: error.code,
+      detail: error.detail,
+      hint: error.hint
+    });
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: error.message,
+      details: process.env.NODE_ENV === 'development' ? {
+        code: error.code,
+        detail: error.detail,
+        hint: error.hint
+      } : undefined
+    });
+  }
+});
+
+// Get Single Application
+app.get('/api/applications/:id', verifyTokenOrApiKey, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Check if user is admin (or an API key) or owns the application
+    const adminRole = req.user?.type === 'admin' ? await getAdminRole(req.user.id) : null;
+    const admin = req.apiKey || (adminRole ? { permissions: ADMIN_ROLES[adminRole]?.permissions || [] } : null);
+    const result = await pool.query('SELECT * FROM applications WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const application = result.rows[0];
+    
+    // Admins need applications:read (and resumes:read for the file); candidates only see their own
+    if (admin) {
+      if (!hasPermission(admin, 'applications:read')) {
+        return res.status(403).json({ error: 'Insufficient permissions', required_permission: 'applications:read' });
+      }
+      if (!hasPermission(admin, 'resumes:read')) {
+        return res.json({ application: withoutResumeData(application) });
+      }
+    } else if (application.user_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    res.json({ application });
+  } catch (error) {
+    console.error('Get application error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update Application (Admin Only)
+app.put('/api/applications/:id', verifyAdminOrApiKey, requirePermission('applications:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, admin_notes } = req.body;
+
+    const updates = [];
+    const values = [];
+    let paramCount = 0;
+
+    if (status !== undefined) {
+      paramCount++;
+      updates.push(`status = $${paramCount}`);
+      values.push(status);
+    }
+    if (admin_notes !== undefined) {
+      paramCount++;
+      updates.push(`admin_notes = $${paramCount}`);
+      values.push(admin_notes);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    paramCount++;
+    updates.push(`updated_at = NOW()`);
+    paramCount++;
+    values.push(id);
+
+    const result = await pool.query(
+      `UPDATE applications SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    res.json({ application: result.rows[0] });
+  } catch (error) {
+    console.error('Update application error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete Application (Admin Only)
+app.delete('/api/applications/:id', verifyAdminOrApiKey, requirePermission('applications:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query('DELETE FROM applications WHERE id = $1 RETURNING id', [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    res.json({ success: true, message: 'Application deleted successfully' });
+  } catch (error) {
+    console.error('Delete application error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// USERS (CANDIDATES) APIs
+// ============================================
+
+// Get All Users (Admin Only)
+app.get('/api/users', verifyAdmin, requirePermission('users:read'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, full_name, email, phone, verified_at, erased_at, created_at FROM users ORDER BY created_at DESC'
+    );
+
+    res.json({ users: result.rows });
+  } catch (error) {
+    console.error('Get users error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get User by ID (Admin Only)
+app.get('/api/users/:id', verifyAdmin, requirePermission('users:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      'SELECT id, full_name, email, phone, verified_at, erased_at, created_at FROM users WHERE id = $1',
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ user: result.rows[0] });
+  } catch (error) {
+    console.error('Get user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete User (Admin Only)
+// Erases the candidate's personal data; anonymized rows stay for the dashboard counts
+app.delete('/api/users/:id', verifyAdmin, requirePermission('users:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const outcome = await eraseCandidate(id, req.admin, req.body?.reason || null);
+
+    if (!outcome) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (outcome.alreadyErased) {
+      return res.status(409).json({ error: 'User already erased', certificate: outcome.certificate });
+    }
+
+    // Frontend expects at least { success: true } on successful delete
+    res.json({ success: true, message: 'User deleted successfully', id: parseInt(id), certificate: outcome.certificate });
+  } catch (error) {
+    console.error('Delete user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get Erasure Certificate (Admin Only)
+app.get('/api/users/:id/erasure-certificate', verifyAdmin, requirePermission('users:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      'SELECT * FROM erasure_certificates WHERE user_id = $1 ORDER BY erased_at DESC LIMIT 1',
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Erasure certificate not found' });
+    }
+
+    const certificate = result.rows[0];
+    res.json({ certificate, signature_valid: signErasureCertificate(certificate) === certificate.signature });
+  } catch (error) {
+    console.error('Get erasure certificate error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get User Applications (Admin Only)
+app.get('/api/users/:id/applications', verifyAdmin, requirePermission('applications:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      `SELECT 
+        a.id,
+        a.user_id,
+        a.job_id,
+        j.title as job_title,
+        j.description as job_description,
+        a.status,
+        a.resume_url,
+        a.resume_filename,
+        a.ai_parsed_data,
+        a.created_at
+      FROM applications a
+      LEFT JOIN jobs j ON a.job_id = j.id
+      WHERE a.user_id = $1
+      ORDER BY a.created_at DESC`,
+      [id]
+    );
+
+    res.json({ applications: result.rows });
+  } catch (error) {
+    console.error('Get user applications error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get User Profile Change History (Admin Only)
+app.get('/api/users/:id/profile-changes', verifyAdmin, requirePermission('users:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      `SELECT id, field, old_value, new_value, changed_by_type, changed_by_id, created_at
+       FROM user_profile_changes
+       WHERE user_id = $1
+       ORDER BY created_at DESC`,
+      [id]
+    );
+    res.json({ changes: result.rows });
+  } catch (error) {
+    console.error('Get user profile changes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GDPR Data Export for a candidate (Admin Only)
+app.get('/api/users/:id/export', verifyAdmin, requirePermission('users:read'), requirePermission('resumes:read'), async (req, res) => {
+  try {
+    await sendCandidateExport(res, req.params.id);
+  } catch (error) {
+    console.error('Export user data error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get Anonymized PDF (Admin Only)
+app.get('/api/users/:id/anonymized-pdf', verifyAdmin, requirePermission('users:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userResult = await pool.query('SELECT * FROM users WHERE id = $1', [id]);
+    
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // This is a placeholder - you would generate a PDF here
+    // For now, return a simple text response
+    res.set('Content-Type', 'application/pdf');
+    res.send('PDF generation not implemented yet');
+  } catch (error) {
+    console.error('Get anonymized PDF error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// CLIENTS APIs
+// ============================================
+
+// Get All Clients (Admin Only)
+app.get('/api/clients', verifyAdmin, requirePermission('clients:read'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT 
+        c.*,
+        COUNT(j.id) as jobs_count
+      FROM clients c
+      LEFT JOIN jobs j ON c.id = j.client_id
+      GROUP BY c.id
+      ORDER BY c.created_at DESC`
+    );
+
+    // Map DB shape to frontend expectations:
+    // - expose "name" derived from "company"
+    // - expose a simple "status" field (clients table doesn't have status, so default to 'active')
+    const clients = result.rows.map((c) => ({
+      ...c,
+      name: c.company,
+      status: 'active' // Clients table doesn't have status column, default to 'active'
+    }));
+
+    res.json({ clients });
+  } catch (error) {
+    console.error('Get clients error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create Client (Admin Only)
+app.post('/api/clients', verifyAdmin, requirePermission('clients:write'), async (req, res) => {
+  try {
+    const { company, contact_person, email } = req.body;
+
+    if (!company) {
+      return res.status(400).json({ error: 'company is required' });
+    }
+
+    const result = await pool.query(
+      'INSERT INTO clients (company, contact_person, email) VALUES ($1, $2, $3) RETURNING *',
+      [company, contact_person || null, email || null]
+    );
+
+    res.status(201).json({ client: result.rows[0] });
+  } catch (error) {
+    if (error.code === '23505') { // Unique violation
+      return res.status(409).json({ error: 'Company already exists' });
+    }
+    console.error('Create client error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update Client (Admin Only)
+app.put('/api/clients/:id', verifyAdmin, requirePermission('clients:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { company, contact_person, email } = req.body;
+
+    const updates = [];
+    const values = [];
+    let paramCount = 0;
+
+    if (company !== undefined) {
+      paramCount++;
+      updates.push(`company = $${paramCount}`);
+      values.push(company);
+    }
+    if (contact_person !== undefined) {
+      paramCount++;
+      updates.push(`contact_person = $${paramCount}`);
+      values.push(contact_person);
+    }
+    if (email !== undefined) {
+      paramCount++;
+      updates.push(`email = $${paramCount}`);
+      values.push(email);
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+    updates.push('updated_at = NOW()');
+
+    paramCount++;
+    values.push(id);
+
+    const result = await pool.query(
+      `UPDATE clients SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    res.json({ client: result.rows[0] });
+  } catch (error) {
+    console.error('Update client error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete Client (Admin Only)
+app.delete('/api/clients/:id', verifyAdmin, requirePermission('clients:delete'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query('DELETE FROM clients WHERE id = $1 RETURNING id', [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+
+    res.json({ message: 'Client deleted successfully', id: parseInt(id) });
+  } catch (error) {
+    console.error('Delete client error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// APPLICANTS APIs (Resume Parsing)
+// ============================================
+
+// Create/Parse Applicant Resume
+// Supports both file upload and JSON payload with parsed data
+app.post('/api/applicants', async (req, res) => {
+  try {
+    let resumeFile = null;
+    let resumeFilename = null;
+    let resumeMime = null;
+    let resumeData = null;
+
+    // Check if request is JSON with parsed data (from /api/parse-resume)
+    if (req.body && req.body.parsed && req.body.name && req.body.email) {
+      // Handle JSON payload with parsed resume data
+      const { name, email, phone, parsed } = req.body;
+      
+      // Extract data from parsed object
+      const skillsArray = parsed.skills || [];
+      const experienceArray = parsed.experience || [];
+      const education = parsed.education?.[0] ? 
+        `${parsed.education[0].degree || ''} ${parsed.education[0].institution || ''} ${parsed.education[0].year || ''}`.trim() :
+        (parsed.education || null);
+      
+      // Generate classification using OpenAI if available
+      let applicantClassification = {
+        stack: 'Full Stack',
+        percentage: 85,
+        role: 'Senior Developer',
+        reasoning: 'Based on skills and experience analysis'
+      };
+
+      if (openai && (skillsArray.length > 0 || experienceArray.length > 0)) {
+        try {
+          const skillsText = skillsArray.join(', ');
+          const experienceText = experienceArray.map(exp => 
+            `${exp.title || exp.role || 'Role'} at ${exp.company || 'Company'}`
+          ).join(', ');
+
+          const completion = await openai.chat.completions.create({
+            model: 'gpt-3.5-turbo',
+            messages: [
+              {
+                role: 'system',
+                content: 'You are a technical recruiter. Analyze the candidate\'s skills and experience, then classify them. Return a JSON object with: stack (e.g., "Full Stack", "Frontend", "Backend"), percentage (0-100 confidence score), role (e.g., "Senior Developer", "Junior Developer"), and reasoning (brief explanation).'
+              },
+              {
+                role: 'user',
+                content: `Skills: ${skillsText}\nExperience: ${experienceText}\n\nClassify this candidate.`
+              }
+            ],
+            temperature: 0.5,
+            max_tokens: 300
+          });
+
+          const aiResponse = completion.choices[0]?.message?.content;
+          try {
+            const aiClassification = JSON.parse(aiResponse);
+            applicantClassification = {
+              stack: aiClassification.stack || applicantClassification.stack,
+              percentage: aiClassification.percentage || applicantClassification.percentage,
+              role: aiClassification.role || applicantClassification.role,
+              reasoning: aiClassification.reasoning || applicantClassification.reasoning
+            };
+          } catch (e) {
+            console.log('Could not parse AI classification, using default');
+          }
+        } catch (aiError) {
+          console.error('OpenAI classification error:', aiError);
+        }
+      }
+
+      const result = await pool.query(
+        `INSERT INTO applicants (name, email, phone, skills, experience, education, resume_filename, resume_mime, resume_data)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING id, name, email, phone, skills, experience, education, created_at`,
+        [
+          name,
+          email,
+          phone || null,
+          skillsArray,
+          JSON.stringify(experienceArray),
+          education,
+          parsed.contact?.name ? `${parsed.contact.name}_resume.pdf` : 'resume.pdf',
+          'application/pdf',
+          null // No file data when using JSON payload
+        ]
+      );
+
+      const applicant = result.rows[0];
+      applicant.classification = applicantClassification;
+
+      return res.status(201).json({ applicant });
+    }
+
+    // Otherwise, handle file upload (multipart/form-data)
+    const uploadMiddleware = upload.single('resume');
+    
+    await new Promise((resolve, reject) => {
+      uploadMiddleware(req, res, (err) => {
+        if (err) {
+          if (err instanceof multer.MulterError) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+              return res.status(400).json({ 
+                error: 'File too large',
+                message: 'File size exceeds 10MB limit'
+              });
+            }
+            return res.status(400).json({ 
+              error: 'File upload error',
+              message: err.message
+            });
+          }
+          if (err.message && err.message.includes('Invalid file type')) {
+            return res.status(400).json({ 
+              error: 'Invalid file type',
+              message: err.message
+            });
+          }
+          return res.status(400).json({ 
+            error: 'File upload error',
+            message: err.message || 'Failed to process file upload'
+          });
+        }
+        resolve();
+      });
+    });
+
+    const { name, email, phone, skills, experience, education } = req.body;
+
+    if (!name || !email) {
+      return res.status(400).json({ error: 'name and email are required' });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'resume file is required' });
+    }
+
+    resumeFile = req.file;
+    resumeFilename = resumeFile.originalname;
+    resumeMime = resumeFile.mimetype;
+    resumeData = resumeFile.buffer;
+
+    let skillsArray = [];
+    if (skills) {
+      try {
+        skillsArray = typeof skills === 'string' ? JSON.parse(skills) : skills;
+      } catch (e) {
+        skillsArray = Array.isArray(skills) ? skills : [];
+      }
+    }
+
+    let experienceArray = [];
+    if (experience) {
+      try {
+        experienceArray = typeof experience === 'string' ? JSON.parse(experience) : experience;
+      } catch (e) {
+        experienceArray = Array.isArray(experience) ? experience : [];
+      }
+    }
+
+    // Generate classification using OpenAI if available
+    let fileUploadClassification = {
+      stack: 'Full Stack',
+      percentage: 85,
+      role: 'Senior Developer',
+      reasoning: 'Based on skills and experience analysis'
+    };
+
+    if (openai && (skillsArray.length > 0 || experienceArray.length > 0)) {
+      try {
+        const skillsText = skillsArray.join(', ');
+        const experienceText = experienceArray.map(exp => 
+          `${exp.role || exp.title || 'Role'} at ${exp.company || 'Company'}`
+        ).join(', ');
+
+        const completion = await openai.chat.completions.create({
+          model: 'gpt-3.5-turbo',
+          messages: [
+            {
+              role: 'system',
+              content: 'You are a technical recruiter. Analyze the candidate\'s skills and experience, then classify them. Return a JSON object with: stack (e.g., "Full Stack", "Frontend", "Backend"), percentage (0-100 confidence score), role (e.g., "Senior Developer", "Junior Developer"), and reasoning (brief explanation).'
+            },
+            {
+              role: 'user',
+              content: `Skills: ${skillsText}\nExperience: ${experienceText}\n\nClassify this candidate.`
+            }
+          ],
+          temperature: 0.5,
+          max_tokens: 300
+        });
+
+        const aiResponse = completion.choices[0]?.message?.content;
+        try {
+          const aiClassification = JSON.parse(aiResponse);
+          fileUploadClassification = {
+            stack: aiClassification.stack || fileUploadClassification.stack,
+            percentage: aiClassification.percentage || fileUploadClassification.percentage,
+            role: aiClassification.role || fileUploadClassification.role,
+            reasoning: aiClassification.reasoning || fileUploadClassification.reasoning
+          };
+        } catch (e) {
+          console.log('Could not parse AI classification, using default');
+        }
+      } catch (aiError) {
+        console.error('OpenAI classification error:', aiError);
+      }
+    }
+
+    // Generate classification using OpenAI if available
+    let classification = {
+      stack: 'Full Stack',
+      percentage: 85,
+      role: 'Senior Developer',
+      reasoning: 'Based on skills and experience analysis'
+    };
+
+    if (openai && (skillsArray.length > 0 || experienceArray.length > 0)) {
+      try {
+        const skillsText = skillsArray.join(', ');
+        const experienceText = experienceArray.map(exp => 
+          `${exp.role || exp.title || 'Role'} at ${exp.company || 'Company'}`
+        ).join(', ');
+
+        const completion = await openai.chat.completions.create({
+          model: 'gpt-3.5-turbo',
+          messages: [
+            {
+              role: 'system',
+              content: 'You are a technical recruiter. Analyze the candidate\'s skills and experience, then classify them. Return a JSON object with: stack (e.g., "Full Stack", "Frontend", "Backend"), percentage (0-100 confidence score), role (e.g., "Senior Developer", "Junior Developer"), and reasoning (brief explanation).'
+            },
+            {
+              role: 'user',
+              content: `Skills: ${skillsText}\nExperience: ${experienceText}\n\nClassify this candidate.`
+            }
+          ],
+          temperature: 0.5,
+          max_tokens: 300
+        });
+
+        const aiResponse = completion.choices[0]?.message?.content;
+        try {
+          const aiClassification = JSON.parse(aiResponse);
+          classification = {
+            stack: aiClassification.stack || classification.stack,
+            percentage: aiClassification.percentage || classification.percentage,
+            role: aiClassification.role || classification.role,
+            reasoning: aiClassification.reasoning || classification.reasoning
+          };
+        } catch (e) {
+          console.log('Could not parse AI classification, using default');
+        }
+      } catch (aiError) {
+        console.error('OpenAI classification error:', aiError);
+      }
+    }
+
+    const result = await pool.query(
+      `INSERT INTO applicants (name, email, phone, skills, experience, education, resume_filename, resume_mime, resume_data)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id, name, email, phone, skills, experience, education, created_at`,
+      [
+        name,
+        email,
+        phone || null,
+        skillsArray,
+        JSON.stringify(experienceArray),
+        education || null,
+        resumeFilename,
+        resumeMime,
+        resumeData
+      ]
+    );
+
+    const applicant = result.rows[0];
+    applicant.classification = fileUploadClassification;
+
+    res.status(201).json({ applicant });
+  } catch (error) {
+    console.error('Create applicant error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get Applicant by ID
+app.get('/api/applicants/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      'SELECT id, name, email, phone, skills, experience, education, created_at FROM applicants WHERE id = $1',
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Applicant not found' });
+    }
+
+    const applicant = result.rows[0];
+    
+    // Generate classification using OpenAI if available
+    let classification = {
+      stack: 'Full Stack',
+      percentage: 85,
+      role: 'Senior Developer',
+      reasoning: 'Based on skills and experience analysis'
+    };
+
+    if (openai && applicant.skills && applicant.skills.length > 0) {
+      try {
+        const skillsText = Array.isArray(applicant.skills) ? applicant.skills.join(', ') : '';
+        let experienceText = '';
+        
+        if (applicant.experience) {
+          try {
+            const exp = typeof applicant.experience === 'string' ? JSON.parse(applicant.experience) : applicant.experience;
+            experienceText = Array.isArray(exp) ? exp.map(e => `${e.role || 'Role'} at ${e.company || 'Company'}`).join(', ') : '';
+          } catch (e) {
+            experienceText = '';
+          }
+        }
+
+        if (skillsText) {
+          const completion = await openai.chat.completions.create({
+            model: 'gpt-3.5-turbo',
+            messages: [
+              {
+                role: 'system',
+                content: 'You are a technical recruiter. Analyze the candidate\'s skills and experience, then classify them. Return a JSON object with: stack (e.g., "Full Stack", "Frontend", "Backend"), percentage (0-100 confidence score), role (e.g., "Senior Developer", "Junior Developer"), and reasoning (brief explanation).'
+              },
+              {
+                role: 'user',
+                content: `Skills: ${skillsText}${experienceText ? `\nExperience: ${experienceText}` : ''}\n\nClassify this candidate.`
+              }
+            ],
+            temperature: 0.5,
+            max_tokens: 300
+          });
+
+          const aiResponse = completion.choices[0]?.message?.content;
+          try {
+            const aiClassification = JSON.parse(aiResponse);
+            classification = {
+              stack: aiClassification.stack || classification.stack,
+              percentage: aiClassification.percentage || classification.percentage,
+              role: aiClassification.role || classification.role,
+              reasoning: aiClassification.reasoning || classification.reasoning
+            };
+          } catch (e) {
+            console.log('Could not parse AI classification, using default');
+          }
+        }
+      } catch (aiError) {
+        console.error('OpenAI classification error:', aiError);
+      }
+    }
+
+    applicant.classification = classification;
+
+    res.json({ applicant });
+  } catch (error) {
+    console.error('Get applicant error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// AI/TOOLS APIs
+// ============================================
+
+// Parse Resume (Alias for extract-skills, matches frontend expectation)
+// Supports both JSON payload (filename + text) and file upload (multipart/form-data)
+app.post('/api/parse-resume', async (req, res) => {
+  try {
+    let resumeText = '';
+    let filename = '';
+    let fileExtension = '.txt';
+
+    // Check if request is JSON with filename and text (frontend approach)
+    if (req.body && req.body.filename && req.body.text) {
+      // Handle JSON payload from frontend
+      filename = req.body.filename;
+      resumeText = req.body.text;
+      fileExtension = path.extname(filename).toLowerCase();
+      
+      if (!openai) {
+        return res.status(503).json({
+          error: 'AI not configured',
+          message: 'Set AI_SERVICE_API_KEY / OPENAI_API_KEY to enable resume parsing.'
+        });
+      }
+
+      try {
+      // Truncate resume text to avoid model context overflow
+      const truncatedText = resumeText.slice(0, 15000);
+
+      const completion = await openai.chat.completions.create({
+          model: 'gpt-3.5-turbo-1106',
+          response_format: { type: 'json_object' },
+          temperature: 0.2,
+          messages: [
+            {
+              role: 'system',
+              content:
+                'You are a resume parser. Return ONLY JSON (no markdown, no prose). Schema: {skills:[string], contact:{name,email,phone,location}, summary:string, experience:[{title,company,start_date,end_date,responsibilities:[string]}], education:[{degree,institution,year}], certifications:[string], languages:[string], links:[string]}. Use the provided resume text; do not invent data.'
+            },
+            {
+              role: 'user',
+            content: `Parse this resume text and respond with JSON only (no extra text):\n\n${truncatedText}`
+            }
+          ],
+          max_tokens: 2000
+        });
+
+        const aiResponse = completion.choices[0]?.message?.content || '';
+        let parsed = await parseAiResponseToJson(aiResponse, resumeText);
+        if (!parsed) {
+          parsed = await repairAiResponse(openai, aiResponse, resumeText);
+        }
+        if (!parsed) {
+          return res.status(500).json({
+            error: 'AI parse failed',
+            message: 'Unable to parse AI response into structured JSON',
+            ai_response_preview: aiResponse.slice(0, 500)
+          });
+        }
+
+        return res.json({ parsed });
+      } catch (aiError) {
+        console.error('OpenAI API error:', aiError);
+        return res.status(500).json({
+          error: 'AI parsing failed',
+          message: aiError.message || 'Error calling AI parser'
+        });
+      }
+    }
+
+    // Otherwise, handle file upload (multipart/form-data)
+    // Support multiple field names: 'resume', 'file', 'document'
+    const uploadMiddleware = upload.fields([
+      { name: 'resume', maxCount: 1 },
+      { name: 'file', maxCount: 1 },
+      { name: 'document', maxCount: 1 }
+    ]);
+    
+    // Wrap multer in a promise to handle it properly
+    await new Promise((resolve, reject) => {
+      uploadMiddleware(req, res, (err) => {
+        if (err) {
+          // Handle multer errors
+          if (err instanceof multer.MulterError) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+              return res.status(400).json({ 
+                error: 'File too large',
+                message: 'File size exceeds 10MB limit'
+              });
+            }
+            return res.status(400).json({ 
+              error: 'File upload error',
+              message: err.message
+            });
+          }
+          // Handle file validation errors
+          if (err.message && err.message.includes('Invalid file type')) {
+            return res.status(400).json({ 
+              error: 'Invalid file type',
+              message: err.message
+            });
+          }
+          return res.status(400).json({ 
+            error: 'File upload error',
+            message: err.message || 'Failed to process file upload'
+          });
+        }
+        resolve();
+      });
+    });
+
+    // Get file from any of the supported field names
+    let file = null;
+    if (req.files) {
+      file = req.files['resume']?.[0] || req.files['file']?.[0] || req.files['document']?.[0];
+    }
+    // Fallback to req.file for single field uploads
+    if (!file) {
+      file = req.file;
+    }
+    
+    if (!file) {
+      // Provide helpful error message
+      return res.status(400).json({ 
+        error: 'resume file is required',
+        message: 'Please provide either: (1) JSON payload with "filename" and "text" fields, or (2) multipart/form-data file upload with field name "resume", "file", or "document"',
+        details: {
+          acceptedFormats: [
+            'JSON: { "filename": "resume.pdf", "text": "resume content..." }',
+            'multipart/form-data: file field named "resume", "file", or "document"'
+          ],
+          supportedFileFormats: ['PDF', 'DOC', 'DOCX', 'TXT', 'RTF', 'ODT'],
+          maxSize: '10MB'
+        }
+      });
+    }
+    
+    // Process file upload
+    filename = file.originalname;
+    fileExtension = path.extname(filename).toLowerCase();
+
+    // Extract text from file (PDF/DOC/DOCX/TXT/RTF)
+    resumeText = await extractResumeText(file);
+    if (!resumeText || !resumeText.trim()) {
+      return res.status(400).json({
+        error: 'Could not extract text from file',
+        message: 'Uploaded file could not be parsed into text. Please upload a PDF, DOC/DOCX, or TXT with readable text.'
+      });
+    }
+
+    // Require AI; no dummy placeholders
+    if (!openai) {
+      return res.status(503).json({
+        error: 'AI not configured',
+        message: 'Set AI_SERVICE_API_KEY / OPENAI_API_KEY to enable resume parsing.'
+      });
+    }
+
+    try {
+      // Truncate to avoid context overflow
+      const truncatedText = resumeText.slice(0, 15000);
+
+      const completion = await openai.chat.completions.create({
+        model: 'gpt-3.5-turbo-1106',
+        response_format: { type: 'json_object' },
+        temperature: 0.2,
+        messages: [
+          {
+            role: 'system',
+            content:
+              'You are a resume parser. Return ONLY JSON (no markdown, no prose). Schema: {skills:[string], contact:{name,email,phone,location}, summary:string, experience:[{title,company,start_date,end_date,responsibilities:[string]}], education:[{degree,institution,year}], certifications:[string], languages:[string], links:[string]}. Use the provided resume text; do not invent data.'
+          },
+          {
+            role: 'user',
+            content: `Parse this resume text and respond with JSON only (no extra text):\n\n${truncatedText}`
+          }
+        ],
+        max_tokens: 2000
+      });
+
+      const aiResponse = completion.choices[0]?.message?.content || '';
+      let parsed = await parseAiResponseToJson(aiResponse, truncatedText);
+      if (!parsed) {
+        parsed = await repairAiResponse(openai, aiResponse, truncatedText);
+      }
+      if (!parsed) {
+        return res.status(500).json({
+          error: 'AI parse failed',
+          message: 'Unable to parse AI response into structured JSON',
+          ai_response_preview: aiResponse.slice(0, 500)
+        });
+      }
+
+      res.json({ parsed });
+    } catch (aiError) {
+      console.error('OpenAI API error:', aiError);
+      return res.status(500).json({
+        error: 'AI parsing failed',
+        message: aiError.message || 'Error calling AI parser'
+      });
+    }
+  } catch (error) {
+    console.error('Parse resume error:', error);
+    
+    // Handle multer errors specifically
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({ 
+          error: 'File too large',
+          message: 'File size exceeds 10MB limit'
+        });
+      }
+      return res.status(400).json({ 
+        error: 'File upload error',
+        message: error.message
+      });
+    }
+    
+    // Handle other errors
+    if (error.message && error.message.includes('Invalid file type')) {
+      return res.status(400).json({ 
+        error: 'Invalid file type',
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: error.message || 'An unexpected error occurred'
+    });
+  }
+});
+
+// Extract Skills from Resume
+app.post('/api/tools/extract-skills', upload.single('resume'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'resume file is required' });
+    }
+
+  // Require AI; no dummy placeholders
+  if (!openai) {
+    return res.status(503).json({
+      error: 'AI not configured',
+      message: 'Set AI_SERVICE_API_KEY / OPENAI_API_KEY to enable resume parsing.'
+    });
+  }
+
+  try {
+    // Extract text from file (PDF/DOC/DOCX/TXT/RTF)
+    let resumeText = await extractResumeText(req.file);
+    if (!resumeText || !resumeText.trim()) {
+      return res.status(400).json({
+        error: 'Could not extract text from file',
+        message: 'Uploaded file could not be parsed into text. Please upload a PDF, DOC/DOCX, or TXT with readable text.'
+      });
+    }
+
+    // Truncate resume text to avoid model context overflow
+    const truncatedText = resumeText.slice(0, 15000);
+
+    const completion = await openai.chat.completions.create({
+      model: 'gpt-3.5-turbo-1106',
+      response_format: { type: 'json_object' },
+      temperature: 0.2,
+      messages: [
+        {
+          role: 'system',
+          content:
+            'You are a resume parser. Return ONLY JSON (no markdown, no prose). Schema: {skills:[string], contact:{name,email,phone,location}, summary:string, experience:[{title,company,start_date,end_date,responsibilities:[string]}], education:[{degree,institution,year}], certifications:[string], languages:[string], links:[string]}. Use the provided resume text; do not invent data.'
+        },
+        {
+          role: 'user',
+          content: `Parse this resume text and respond with JSON only (no extra text):\n\n${truncatedText}`
+        }
+      ],
+      max_tokens: 2000
+    });
+
+    const aiResponse = completion.choices[0]?.message?.content || '';
+    let parsed = await parseAiResponseToJson(aiResponse, resumeText);
+    if (!parsed) {
+      parsed = await repairAiResponse(openai, aiResponse, resumeText);
+    }
+    if (!parsed) {
+      return res.status(500).json({
+        error: 'AI parse failed',
+        message: 'Unable to parse AI response into structured JSON',
+        ai_response_preview: aiResponse.slice(0, 500)
+      });
+    }
+
+    res.json({ parsed });
+  } catch (aiError) {
+    console.error('OpenAI API error:', aiError);
+    return res.status(500).json({
+      error: 'AI parsing failed',
+      message: aiError.message || 'Error calling AI parser'
+    });
+  }
+  } catch (error) {
+    console.error('Extract skills error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// ADMIN DASHBOARD APIs
+// ============================================
+
+// Get Dashboard Statistics (Admin Only) - Unified endpoint for all KPIs
+app.get('/api/admin/dashboard', verifyAdmin, requirePermission('dashboard:read'), async (req, res) => {
+  try {
+    const { period } = req.query; // Optional: 'week', 'month', 'year', or null for all time
+
+    // Calculate date filter based on period
+    let dateFilter = '';
+    let dateParams = [];
+    if (period === 'week') {
+      dateFilter = ' AND created_at >= NOW() - INTERVAL \'7 days\'';
+    } else if (period === 'month') {
+      dateFilter = ' AND created_at >= NOW() - INTERVAL \'30 days\'';
+    } else if (period === 'year') {
+      dateFilter = ' AND created_at >= NOW() - INTERVAL \'365 days\'';
+    }
+
+    // Get all statistics in parallel for better performance
+    // Simplified queries - only get what we need for KPIs
+    let usersCount, jobsCount, clientsCount, applicationsCount, applicationsByStatus, applicationsTrend, jobsByStatus;
+    
+    try {
+      // Core KPI queries (these must work)
+      [
+        usersCount,
+        jobsCount,
+        clientsCount,
+        applicationsCount
+      ] = await Promise.all([
+        // Total Candidates (Users)
+        pool.query('SELECT COUNT(*) as count FROM users'),
+        
+        // Total Jobs
+        pool.query('SELECT COUNT(*) as count FROM jobs'),
+        
+        // Active Clients
+        pool.query('SELECT COUNT(*) as count FROM clients'),
+        
+        // Total Applications
+        pool.query(`SELECT COUNT(*) as count FROM applications WHERE 1=1 ${dateFilter}`, dateParams)
+      ]);
+
+      // Optional queries (for charts) - handle errors gracefully
+      try {
+        applicationsByStatus = await pool.query(`
+          SELECT 
+            COALESCE(status, 'Unknown') as status,
+            COUNT(*) as count
+          FROM applications
+          GROUP BY COALESCE(status, 'Unknown')
+          ORDER BY count DESC
+        `);
+      } catch (e) {
+        console.warn('Applications by status query failed (status column may not exist):', e.message);
+        applicationsByStatus = { rows: [] };
+      }
+
+      try {
+        applicationsTrend = await pool.query(`
+          SELECT 
+            created_at::date as date,
+            COUNT(*) as count
+          FROM applications
+          WHERE created_at >= NOW() - INTERVAL '7 days'
+          GROUP BY created_at::date
+          ORDER BY date ASC
+        `);
+      } catch (e) {
+        console.warn('Applications trend query failed:', e.message);
+        applicationsTrend = { rows: [] };
       }
 
       try {
-      // Truncate resume text to avoid model context overflow
-      const truncatedText = resumeText.slice(0, 15000);
+        jobsByStatus = await pool.query(`
+          SELECT 
+            COALESCE(status, 'Unknown') as status,
+            COUNT(*) as count
+          FROM jobs
+          GROUP BY COALESCE(status, 'Unknown')
+          ORDER BY count DESC
+        `);
+      } catch (e) {
+        console.warn('Jobs by status query failed (status column may not exist):', e.message);
+        jobsByStatus = { rows: [] };
+      }
+    } catch (queryError) {
+      console.error('Dashboard query error:', queryError);
+      throw new Error(`Database query failed: ${queryError.message}. Table/column: ${queryError.detail || 'unknown'}`);
+    }
 
-      const completion = await openai.chat.completions.create({
-          model: 'gpt-3.5-turbo-1106',
-          response_format: { type: 'json_object' },
-          temperature: 0.2,
-          messages: [
-            {
-              role: 'system',
-              content:
-                'You are a resume parser. Return ONLY JSON (no markdown, no prose). Schema: {skills:[string], contact:{name,email,phone,location}, summary:string, experience:[{title,company,start_date,end_date,responsibilities:[string]}], education:[{degree,institution,year}], certifications:[string], languages:[string], links:[string]}. Use the provided resume text; do not invent data.'
-            },
-            {
-              role: 'user',
-            content: `Parse this resume text and respond with JSON only (no extra text):\n\n${truncatedText}`
-            }
-          ],
-          max_tokens: 2000
-        });
+    // Format applications trend data for frontend chart
+    // Handle both date object and string formats
+    const trendData = applicationsTrend.rows.map(row => {
+      let dateStr = row.date;
+      if (row.date instanceof Date) {
+        dateStr = row.date.toISOString().split('T')[0];
+      } else if (typeof row.date === 'string') {
+        dateStr = row.date.split('T')[0];
+      }
+      return {
+        date: dateStr,
+        count: parseInt(row.count) || 0
+      };
+    });
 
-        const aiResponse = completion.choices[0]?.message?.content || '';
-        let parsed = await parseAiResponseToJson(aiResponse, resumeText);
-        if (!parsed) {
-          parsed = await repairAiResponse(openai, aiResponse, resumeText);
-        }
-        if (!parsed) {
-          return res.status(500).json({
-            error: 'AI parse failed',
-            message: 'Unable to parse AI response into structured JSON',
-            ai_response_preview: aiResponse.slice(0, 500)
-          });
-        }
+    // Format distribution data
+    const distribution = {
+      candidates: parseInt(usersCount.rows[0].count),
+      jobs: parseInt(jobsCount.rows[0].count),
+      clients: parseInt(clientsCount.rows[0].count),
+      applications: parseInt(applicationsCount.rows[0].count)
+    };
+
+    res.json({
+      stats: {
+        totalCandidates: parseInt(usersCount.rows[0]?.count || 0),
+        totalJobs: parseInt(jobsCount.rows[0]?.count || 0),
+        activeClients: parseInt(clientsCount.rows[0]?.count || 0),
+        totalApplications: parseInt(applicationsCount.rows[0]?.count || 0)
+      },
+      applicationsByStatus: applicationsByStatus.rows.map(row => ({
+        status: row.status || 'Unknown',
+        count: parseInt(row.count || 0)
+      })),
+      jobsByStatus: jobsByStatus.rows.map(row => ({
+        status: row.status || 'Unknown',
+        count: parseInt(row.count || 0)
+      })),
+      applicationsTrend: trendData,
+      distribution: distribution,
+      period: period || 'all'
+    });
+  } catch (error) {
+    console.error('Get dashboard stats error:', error);
+    res.status(500).json({ 
+      error: 'Internal server error', 
+      message: error.message,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// Get Dashboard Statistics (Alternative endpoint - simpler version)
+app.get('/api/admin/stats', verifyAdmin, requirePermission('dashboard:read'), async (req, res) => {
+  try {
+    const [
+      usersCount,
+      jobsCount,
+      clientsCount,
+      applicationsCount
+    ] = await Promise.all([
+      pool.query('SELECT COUNT(*) as count FROM users'),
+      pool.query('SELECT COUNT(*) as count FROM jobs'),
+      pool.query('SELECT COUNT(*) as count FROM clients'),
+      pool.query('SELECT COUNT(*) as count FROM applications')
+    ]);
+
+    res.json({
+      totalCandidates: parseInt(usersCount.rows[0].count),
+      totalJobs: parseInt(jobsCount.rows[0].count),
+      activeClients: parseInt(clientsCount.rows[0].count),
+      totalApplications: parseInt(applicationsCount.rows[0].count)
+    });
+  } catch (error) {
+    console.error('Get stats error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// ADMIN ROLES APIs
+// ============================================
+
+// Get Current Admin (with role and permissions)
+app.get('/api/admin/me', verifyAdmin, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT id, email, role, created_at FROM admin_users WHERE id = $1', [req.admin.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+    res.json({ admin: { ...result.rows[0], permissions: req.admin.permissions } });
+  } catch (error) {
+    console.error('Get admin profile error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List Available Roles (Admin Only)
+app.get('/api/admin/roles', verifyAdmin, (req, res) => {
+  const roles = Object.entries(ADMIN_ROLES).map(([name, role]) => ({ name, ...role }));
+  res.json({ roles });
+});
+
+// List Admin Users with their Roles
+app.get('/api/admin/users', verifyAdmin, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT id, email, role, created_at FROM admin_users ORDER BY created_at ASC');
+    res.json({ admins: result.rows });
+  } catch (error) {
+    console.error('Get admin users error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Assign a Role to an Admin User
+app.put('/api/admin/users/:id/role', verifyAdmin, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (!ADMIN_ROLES[role]) {
+      return res.status(400).json({ error: 'Invalid role', valid_roles: Object.keys(ADMIN_ROLES) });
+    }
+
+    const current = await pool.query('SELECT id, role FROM admin_users WHERE id = $1', [id]);
+    if (current.rows.length === 0) {
+      return res.status(404).json({ error: 'Admin not found' });
+    }
+
+    // Never leave the team without an owner
+    if (current.rows[0].role === 'owner' && role !== 'owner') {
+      const owners = await pool.query("SELECT COUNT(*) AS count FROM admin_users WHERE role = 'owner'");
+      if (parseInt(owners.rows[0].count) <= 1) {
+        return res.status(409).json({ error: 'Cannot change the role of the last owner' });
+      }
+    }
+
+    const result = await pool.query(
+      'UPDATE admin_users SET role = $1 WHERE id = $2 RETURNING id, email, role, created_at',
+      [role, id]
+    );
+
+    res.json({ admin: result.rows[0] });
+  } catch (error) {
+    console.error('Assign admin role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// ADMIN INVITES APIs
+// ============================================
+
+// Create Invite: emails a single-use link that lets the invitee create their admin account
+app.post('/api/admin/invites', verifyAdmin, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+    const role = req.body.role || 'viewer';
+
+    if (!email) {
+      return res.status(400).json({ error: 'email is required' });
+    }
+    if (!ADMIN_ROLES[role]) {
+      return res.status(400).json({ error: 'Invalid role', valid_roles: Object.keys(ADMIN_ROLES) });
+    }
+
+    const existingAdmin = await pool.query('SELECT id FROM admin_users WHERE email = $1', [email]);
+    if (existingAdmin.rows.length > 0) {
+      return res.status(409).json({ error: 'An admin with this email already exists' });
+    }
+
+    // A new invite replaces any pending one for the same address
+    await pool.query(
+      `UPDATE admin_invites SET revoked_at = NOW()
+       WHERE email = $1 AND accepted_at IS NULL AND revoked_at IS NULL`,
+      [email]
+    );
+
+    const token = generateSecureToken();
+    const result = await pool.query(
+      `INSERT INTO admin_invites (email, role, token_hash, invited_by, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + ($5 * INTERVAL '1 hour'))
+       RETURNING id, email, role, invited_by, expires_at, created_at`,
+      [email, role, hashToken(token), req.admin.id, ADMIN_INVITE_TTL_HOURS]
+    );
+
+    const acceptUrl = `${APP_BASE_URL}/admin/accept-invite?token=${token}`;
+    await sendMail({
+      to: email,
+      subject: 'You have been invited to JobSpeedy AI',
+      text:
+        `${req.admin.email} invited you to join JobSpeedy AI as ${ADMIN_ROLES[role].label}.\n\n` +
+        `Open this link to set your password and activate your account:\n${acceptUrl}\n\n` +
+        `The invitation expires in ${ADMIN_INVITE_TTL_HOURS} hours and can only be used once.`
+    });
+
+    res.status(201).json({ invite: result.rows[0] });
+  } catch (error) {
+    console.error('Create admin invite error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List Invites (pending by default; ?status=all includes accepted, revoked and expired)
+app.get('/api/admin/invites', verifyAdmin, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    let query = `
+      SELECT
+        i.id,
+        i.email,
+        i.role,
+        i.expires_at,
+        i.accepted_at,
+        i.revoked_at,
+        i.created_at,
+        inviter.email AS invited_by_email,
+        CASE
+          WHEN i.accepted_at IS NOT NULL THEN 'accepted'
+          WHEN i.revoked_at IS NOT NULL THEN 'revoked'
+          WHEN i.expires_at <= NOW() THEN 'expired'
+          ELSE 'pending'
+        END AS status
+      FROM admin_invites i
+      LEFT JOIN admin_users inviter ON i.invited_by = inviter.id
+    `;
+    if (status !== 'all') {
+      query += ' WHERE i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW()';
+    }
+    query += ' ORDER BY i.created_at DESC';
+
+    const result = await pool.query(query);
+    res.json({ invites: result.rows });
+  } catch (error) {
+    console.error('Get admin invites error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a Pending Invite
+app.delete('/api/admin/invites/:id', verifyAdmin, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      `UPDATE admin_invites SET revoked_at = NOW()
+       WHERE id = $1 AND accepted_at IS NULL AND revoked_at IS NULL
+       RETURNING id`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Pending invite not found' });
+    }
+
+    res.json({ success: true, message: 'Invite revoked successfully', id: parseInt(id) });
+  } catch (error) {
+    console.error('Revoke admin invite error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Look Up an Invite by Token (Public) - lets the accept page show the invited email
+app.get('/api/admin/invites/validate', async (req, res) => {
+  try {
+    const { token } = req.query;
+    if (!token) {
+      return res.status(400).json({ error: 'token is required' });
+    }
+
+    const result = await pool.query(
+      `SELECT email, role, expires_at FROM admin_invites
+       WHERE token_hash = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()`,
+      [hashToken(token)]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Invalid or expired invite' });
+    }
+
+    res.json({ invite: result.rows[0] });
+  } catch (error) {
+    console.error('Validate admin invite error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Accept Invite (Public): creates the admin_users row and signs the new admin in
+app.post('/api/admin/invites/accept', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'token and password are required' });
+    }
+    const passwordError = validateNewPassword(password);
+    if (passwordError) {
+      return res.status(400).json({ error: passwordError });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    const outcome = await withTransaction(async (client) => {
+      const inviteResult = await client.query(
+        `SELECT id, email, role FROM admin_invites
+         WHERE token_hash = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+         FOR UPDATE`,
+        [hashToken(token)]
+      );
+      if (inviteResult.rows.length === 0) {
+        return { status: 400, body: { error: 'Invalid or expired invite' } };
+      }
+      const invite = inviteResult.rows[0];
+
+      const existingAdmin = await client.query('SELECT id FROM admin_users WHERE email = $1', [invite.email]);
+      if (existingAdmin.rows.length > 0) {
+        return { status: 409, body: { error: 'An admin with this email already exists' } };
+      }
+
+      const adminResult = await client.query(
+        'INSERT INTO admin_users (email, password_hash, role) VALUES ($1, $2, $3) RETURNING id, email, role, created_at',
+        [invite.email, passwordHash, invite.role]
+      );
+      const admin = adminResult.rows[0];
+
+      await client.query(
+        'UPDATE admin_invites SET accepted_at = NOW(), accepted_admin_id = $1 WHERE id = $2',
+        [admin.id, invite.id]
+      );
+
+      return { admin };
+    });
+
+    if (!outcome.admin) {
+      return res.status(outcome.status).json(outcome.body);
+    }
+
+    const { admin } = outcome;
+    const challenge = adminMfaChallenge(admin);
+    if (challenge) {
+      return res.status(201).json(challenge);
+    }
+    const { token: accessToken, refreshToken } = await createSession('admin', admin, req);
+
+    res.status(201).json({
+      token: accessToken,
+      refreshToken,
+      admin: {
+        id: admin.id,
+        email: admin.email,
+        role: admin.role,
+        created_at: admin.created_at
+      }
+    });
+  } catch (error) {
+    console.error('Accept admin invite error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-        return res.json({ parsed });
-      } catch (aiError) {
-        console.error('OpenAI API error:', aiError);
-        return res.status(500).json({
-          error: 'AI parsing failed',
-          message: aiError.message || 'Error calling AI parser'
-        });
+// ============================================
+// ADMIN TWO-FACTOR AUTHENTICATION APIs
+// ============================================
+
+// 2FA Status of the signed-in admin
+app.get('/api/admin/2fa', verifyAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT
+         a.totp_enabled_at,
+         (SELECT COUNT(*)::int FROM admin_recovery_codes r WHERE r.admin_id = a.id AND r.used_at IS NULL) AS recovery_codes_remaining
+       FROM admin_users a
+       WHERE a.id = $1`,
+      [req.admin.id]
+    );
+    const status = result.rows[0];
+    res.json({
+      enabled: Boolean(status.totp_enabled_at),
+      enabled_at: status.totp_enabled_at,
+      required: ADMIN_2FA_REQUIRED,
+      recovery_codes_remaining: status.recovery_codes_remaining
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start 2FA Enrolment: returns the secret and an otpauth:// URI to render as a QR code
+app.post('/api/admin/2fa/setup', verifyAdmin, async (req, res) => {
+  try {
+    // Replacing an active authenticator needs a code from the current one
+    const current = await pool.query('SELECT totp_enabled_at FROM admin_users WHERE id = $1', [req.admin.id]);
+    if (current.rows[0]?.totp_enabled_at) {
+      const check = await guardAdminSecondFactor(req, req.admin.email, { code: req.body.code });
+      if (check.rejection) {
+        return sendLoginRejection(res, check.rejection);
+      }
+      if (!check.valid) {
+        return res.status(400).json({ error: 'A valid code from your current authenticator is required' });
       }
     }
 
-    // Otherwise, handle file upload (multipart/form-data)
-    // Support multiple field names: 'resume', 'file', 'document'
-    const uploadMiddleware = upload.fields([
-      { name: 'resume', maxCount: 1 },
-      { name: 'file', maxCount: 1 },
-      { name: 'document', maxCount: 1 }
-    ]);
-    
-    // Wrap multer in a promise to handle it properly
-    await new Promise((resolve, reject) => {
-      uploadMiddleware(req, res, (err) => {
-        if (err) {
-          // Handle multer errors
-          if (err instanceof multer.MulterError) {
-            if (err.code === 'LIMIT_FILE_SIZE') {
-              return res.status(400).json({ 
-                error: 'File too large',
-                message: 'File size exceeds 10MB limit'
-              });
-            }
-            return res.status(400).json({ 
-              error: 'File upload error',
-              message: err.message
-            });
-          }
-          // Handle file validation errors
-          if (err.message && err.message.includes('Invalid file type')) {
-            return res.status(400).json({ 
-              error: 'Invalid file type',
-              message: err.message
-            });
-          }
-          return res.status(400).json({ 
-            error: 'File upload error',
-            message: err.message || 'Failed to process file upload'
-          });
-        }
-        resolve();
-      });
-    });
+    const setup = await beginTotpSetup(req.admin);
+    res.json(setup);
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Get file from any of the supported field names
-    let file = null;
-    if (req.files) {
-      file = req.files['resume']?.[0] || req.files['file']?.[0] || req.files['document']?.[0];
+// Confirm Enrolment with a code from the authenticator app; returns one-time recovery codes
+app.post('/api/admin/2fa/enable', verifyAdmin, async (req, res) => {
+  try {
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({ error: 'code is required' });
     }
-    // Fallback to req.file for single field uploads
-    if (!file) {
-      file = req.file;
+
+    const check = await guardAdminSecondFactor(req, req.admin.email, { code, usePendingSecret: true });
+    if (check.rejection) {
+      return sendLoginRejection(res, check.rejection);
     }
-    
-    if (!file) {
-      // Provide helpful error message
-      return res.status(400).json({ 
-        error: 'resume file is required',
-        message: 'Please provide either: (1) JSON payload with "filename" and "text" fields, or (2) multipart/form-data file upload with field name "resume", "file", or "document"',
-        details: {
-          acceptedFormats: [
-            'JSON: { "filename": "resume.pdf", "text": "resume content..." }',
-            'multipart/form-data: file field named "resume", "file", or "document"'
-          ],
-          supportedFileFormats: ['PDF', 'DOC', 'DOCX', 'TXT', 'RTF', 'ODT'],
-          maxSize: '10MB'
-        }
-      });
+    if (!check.valid) {
+      return res.status(400).json({ error: 'Invalid verification code' });
     }
-    
-    // Process file upload
-    filename = file.originalname;
-    fileExtension = path.extname(filename).toLowerCase();
 
-    // Extract text from file (PDF/DOC/DOCX/TXT/RTF)
-    resumeText = await extractResumeText(file);
-    if (!resumeText || !resumeText.trim()) {
-      return res.status(400).json({
-        error: 'Could not extract text from file',
-        message: 'Uploaded file could not be parsed into text. Please upload a PDF, DOC/DOCX, or TXT with readable text.'
-      });
+    const recoveryCodes = await activateTotp(req.admin.id);
+    res.json({ success: true, message: 'Two-factor authentication enabled', recovery_codes: recoveryCodes });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Regenerate Recovery Codes (invalidates the old ones)
+app.post('/api/admin/2fa/recovery-codes', verifyAdmin, async (req, res) => {
+  try {
+    const check = await guardAdminSecondFactor(req, req.admin.email, { code: req.body.code });
+    if (check.rejection) {
+      return sendLoginRejection(res, check.rejection);
+    }
+    if (!check.valid) {
+      return res.status(400).json({ error: 'Invalid verification code' });
     }
 
-    // Require AI; no dummy placeholders
-    if (!openai) {
-      return res.status(503).json({
-        error: 'AI not configured',
-        message: 'Set AI_SERVICE_API_KEY / OPENAI_API_KEY to enable resume parsing.'
-      });
+    const recoveryCodes = await regenerateRecoveryCodes(req.admin.id);
+    res.json({ recovery_codes: recoveryCodes });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Disable 2FA (requires the password and a current code; not allowed when 2FA is mandatory)
+app.post('/api/admin/2fa/disable', verifyAdmin, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    if (ADMIN_2FA_REQUIRED) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for all admins' });
+    }
+    if (!password || !code) {
+      return res.status(400).json({ error: 'password and code are required' });
     }
 
-    try {
-      // Truncate to avoid context overflow
-      const truncatedText = resumeText.slice(0, 15000);
+    const adminResult = await pool.query('SELECT email, password_hash FROM admin_users WHERE id = $1', [req.admin.id]);
+    const check = await guardCredentialCheck('admin', adminResult.rows[0].email, req, () =>
+      bcrypt.compare(password, adminResult.rows[0].password_hash)
+    );
+    if (check.rejection) {
+      return sendLoginRejection(res, check.rejection);
+    }
+    if (!check.valid) {
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    const codeCheck = await guardAdminSecondFactor(req, adminResult.rows[0].email, { code });
+    if (codeCheck.rejection) {
+      return sendLoginRejection(res, codeCheck.rejection);
+    }
+    if (!codeCheck.valid) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
 
-      const completion = await openai.chat.completions.create({
-        model: 'gpt-3.5-turbo-1106',
-        response_format: { type: 'json_object' },
-        temperature: 0.2,
-        messages: [
-          {
-            role: 'system',
-            content:
-              'You are a resume parser. Return ONLY JSON (no markdown, no prose). Schema: {skills:[string], contact:{name,email,phone,location}, summary:string, experience:[{title,company,start_date,end_date,responsibilities:[string]}], education:[{degree,institution,year}], certifications:[string], languages:[string], links:[string]}. Use the provided resume text; do not invent data.'
-          },
-          {
-            role: 'user',
-            content: `Parse this resume text and respond with JSON only (no extra text):\n\n${truncatedText}`
-          }
-        ],
-        max_tokens: 2000
-      });
+    await pool.query(
+      `UPDATE admin_users
+       SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL
+       WHERE id = $1`,
+      [req.admin.id]
+    );
+    await pool.query('DELETE FROM admin_recovery_codes WHERE admin_id = $1', [req.admin.id]);
 
-      const aiResponse = completion.choices[0]?.message?.content || '';
-      let parsed = await parseAiResponseToJson(aiResponse, truncatedText);
-      if (!parsed) {
-        parsed = await repairAiResponse(openai, aiResponse, truncatedText);
-      }
-      if (!parsed) {
-        return res.status(500).json({
-          error: 'AI parse failed',
-          message: 'Unable to parse AI response into structured JSON',
-          ai_response_preview: aiResponse.slice(0, 500)
-        });
-      }
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-      res.json({ parsed });
-    } catch (aiError) {
-      console.error('OpenAI API error:', aiError);
-      return res.status(500).json({
-        error: 'AI parsing failed',
-        message: aiError.message || 'Error calling AI parser'
-      });
+// ============================================
+// ADMIN SECURITY APIs (login attempts and lockouts)
+// ============================================
+
+// Recent Login Attempts (filter by email, ip, account_type or success)
+app.get('/api/admin/security/login-attempts', verifyAdmin, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { email, ip, account_type, success, limit } = req.query;
+
+    let query = `
+      SELECT id, account_type, email, ip_address, success, created_at
+      FROM login_attempts
+      WHERE 1=1
+    `;
+    const params = [];
+    let paramCount = 0;
+
+    if (email) {
+      paramCount++;
+      query += ` AND email = $${paramCount}`;
+      params.push(normalizeLoginEmail(email));
+    }
+    if (ip) {
+      paramCount++;
+      query += ` AND ip_address = $${paramCount}`;
+      params.push(ip);
+    }
+    if (account_type) {
+      paramCount++;
+      query += ` AND account_type = $${paramCount}`;
+      params.push(account_type);
+    }
+    if (success === 'true' || success === 'false') {
+      paramCount++;
+      query += ` AND success = $${paramCount}`;
+      params.push(success === 'true');
     }
+
+    paramCount++;
+    query += ` ORDER BY created_at DESC LIMIT $${paramCount}`;
+    params.push(Math.min(parseInt(limit) || 100, 1000));
+
+    const result = await pool.query(query, params);
+    res.json({ attempts: result.rows, count: result.rows.length });
   } catch (error) {
-    console.error('Parse resume error:', error);
-    
-    // Handle multer errors specifically
-    if (error instanceof multer.MulterError) {
-      if (error.code === 'LIMIT_FILE_SIZE') {
-        return res.status(400).json({ 
-          error: 'File too large',
-          message: 'File size exceeds 10MB limit'
-        });
-      }
-      return res.status(400).json({ 
-        error: 'File upload error',
-        message: error.message
-      });
+    console.error('Get login attempts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Currently Locked Accounts
+app.get('/api/admin/security/lockouts', verifyAdmin, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT account_type, email, failed_attempts, locked_at, locked_until
+       FROM account_lockouts
+       WHERE locked_until > NOW()
+       ORDER BY locked_at DESC`
+    );
+    res.json({ lockouts: result.rows });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Unlock an Account: lifts the lockout and resets its failed-attempt counter
+app.post('/api/admin/security/unlock', verifyAdmin, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { email } = req.body;
+    const accountType = req.body.account_type || 'admin';
+
+    if (!email) {
+      return res.status(400).json({ error: 'email is required' });
     }
-    
-    // Handle other errors
-    if (error.message && error.message.includes('Invalid file type')) {
-      return res.status(400).json({ 
-        error: 'Invalid file type',
-        message: error.message
-      });
+    if (!ACCOUNT_TABLES[accountType]) {
+      return res.status(400).json({ error: 'account_type must be "admin" or "user"' });
     }
-    
-    res.status(500).json({ 
-      error: 'Internal server error',
-      message: error.message || 'An unexpected error occurred'
-    });
+
+    const result = await pool.query(
+      `INSERT INTO account_lockouts (account_type, email, locked_until, failed_attempts, locked_at, unlocked_at, unlocked_by)
+       VALUES ($1, $2, NOW(), 0, NULL, NOW(), $3)
+       ON CONFLICT (account_type, email) DO UPDATE SET
+         locked_until = NOW(),
+         unlocked_at = NOW(),
+         unlocked_by = EXCLUDED.unlocked_by
+       RETURNING account_type, email, unlocked_at`,
+      [accountType, normalizeLoginEmail(email), req.admin.id]
+    );
+
+    res.json({ success: true, message: 'Account unlocked', unlock: result.rows[0] });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Extract Skills from Resume
-app.post('/api/tools/extract-skills', upload.single('resume'), async (req, res) => {
+// ============================================
+// ADMIN SSO (OPENID CONNECT) APIs
+// ============================================
+
+// Start SSO Login: returns the identity provider URL (?redirect=true answers with a redirect instead)
+app.get('/api/admin/sso/login', async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'resume file is required' });
+    if (!isOidcConfigured()) {
+      return res.status(404).json({ error: 'Single sign-on is not configured' });
     }
 
-  // Require AI; no dummy placeholders
-  if (!openai) {
-    return res.status(503).json({
-      error: 'AI not configured',
-      message: 'Set AI_SERVICE_API_KEY / OPENAI_API_KEY to enable resume parsing.'
+    const { authorizationUrl, state } = await createOidcAuthorizationUrl();
+    // Binds the login to this browser: the callback only accepts a state that matches the cookie
+    res.cookie(OIDC_STATE_COOKIE, state, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: APP_BASE_URL.startsWith('https:'),
+      path: '/api/admin/sso',
+      maxAge: OIDC_LOGIN_STATE_TTL_MINUTES * 60 * 1000
     });
+    if (req.query.redirect === 'true') {
+      return res.redirect(authorizationUrl);
+    }
+
+    res.json({ authorization_url: authorizationUrl, state, expires_in: OIDC_LOGIN_STATE_TTL_MINUTES * 60 });
+  } catch (error) {
+    console.error('SSO login error:', error);
+    res.status(502).json({ error: 'Identity provider is unavailable' });
   }
+});
 
+// Complete SSO Login: the frontend callback page posts the code and state it received, with
+// credentials so the login state cookie comes along
+app.post('/api/admin/sso/callback', async (req, res) => {
   try {
-    // Extract text from file (PDF/DOC/DOCX/TXT/RTF)
-    let resumeText = await extractResumeText(req.file);
-    if (!resumeText || !resumeText.trim()) {
-      return res.status(400).json({
-        error: 'Could not extract text from file',
-        message: 'Uploaded file could not be parsed into text. Please upload a PDF, DOC/DOCX, or TXT with readable text.'
-      });
+    if (!isOidcConfigured()) {
+      return res.status(404).json({ error: 'Single sign-on is not configured' });
     }
 
-    // Truncate resume text to avoid model context overflow
-    const truncatedText = resumeText.slice(0, 15000);
+    const { code, state, error: providerError } = req.body;
+    if (providerError) {
+      return res.status(401).json({ error: 'Sign-in was cancelled or denied', provider_error: providerError });
+    }
+    if (!code || !state) {
+      return res.status(400).json({ error: 'code and state are required' });
+    }
+    const boundState = readCookie(req, OIDC_STATE_COOKIE);
+    res.clearCookie(OIDC_STATE_COOKIE, { path: '/api/admin/sso' });
+    if (!boundState || boundState !== String(state)) {
+      return res.status(400).json({ error: 'The login was not started in this browser' });
+    }
 
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-3.5-turbo-1106',
-      response_format: { type: 'json_object' },
-      temperature: 0.2,
-      messages: [
-        {
-          role: 'system',
-          content:
-            'You are a resume parser. Return ONLY JSON (no markdown, no prose). Schema: {skills:[string], contact:{name,email,phone,location}, summary:string, experience:[{title,company,start_date,end_date,responsibilities:[string]}], education:[{degree,institution,year}], certifications:[string], languages:[string], links:[string]}. Use the provided resume text; do not invent data.'
-        },
-        {
-          role: 'user',
-          content: `Parse this resume text and respond with JSON only (no extra text):\n\n${truncatedText}`
-        }
-      ],
-      max_tokens: 2000
-    });
+    let claims;
+    try {
+      claims = await completeOidcAuthorization(String(code), String(state));
+    } catch (error) {
+      console.error('SSO token exchange error:', error);
+      return res.status(401).json({ error: 'Single sign-on failed' });
+    }
+    if (!claims) {
+      return res.status(400).json({ error: 'Invalid or expired login state' });
+    }
 
-    const aiResponse = completion.choices[0]?.message?.content || '';
-    let parsed = await parseAiResponseToJson(aiResponse, resumeText);
-    if (!parsed) {
-      parsed = await repairAiResponse(openai, aiResponse, resumeText);
+    const outcome = await resolveOidcAdmin(claims);
+    if (!outcome.admin) {
+      return res.status(outcome.status).json({ error: outcome.error });
     }
-    if (!parsed) {
-      return res.status(500).json({
-        error: 'AI parse failed',
-        message: 'Unable to parse AI response into structured JSON',
-        ai_response_preview: aiResponse.slice(0, 500)
-      });
+
+    // The app's second factor applies as with a password, unless the provider's MFA is trusted instead
+    const admin = outcome.admin;
+    const challenge = OIDC_TRUST_IDP_MFA ? null : adminMfaChallenge(admin);
+    if (challenge) {
+      return res.json(challenge);
     }
+    const { token, refreshToken } = await createSession('admin', admin, req);
 
-    res.json({ parsed });
-  } catch (aiError) {
-    console.error('OpenAI API error:', aiError);
-    return res.status(500).json({
-      error: 'AI parsing failed',
-      message: aiError.message || 'Error calling AI parser'
+    res.json({
+      token,
+      refreshToken,
+      admin: {
+        id: admin.id,
+        email: admin.email,
+        role: admin.role,
+        created_at: admin.created_at
+      }
     });
-  }
   } catch (error) {
-    console.error('Extract skills error:', error);
+    console.error('SSO callback error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // ============================================
-// ADMIN DASHBOARD APIs
+// API KEYS APIs
 // ============================================
 
-// Get Dashboard Statistics (Admin Only) - Unified endpoint for all KPIs
-app.get('/api/admin/dashboard', verifyAdmin, async (req, res) => {
+// Create API Key: the full key is only returned in this response
+app.post('/api/admin/api-keys', verifyAdmin, requirePermission('admins:manage'), async (req, res) => {
   try {
-    const { period } = req.query; // Optional: 'week', 'month', 'year', or null for all time
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const { scopes } = req.body;
+    const expiresInDays = req.body.expires_in_days ?? req.body.expiresInDays;
 
-    // Calculate date filter based on period
-    let dateFilter = '';
-    let dateParams = [];
-    if (period === 'week') {
-      dateFilter = ' AND created_at >= NOW() - INTERVAL \'7 days\'';
-    } else if (period === 'month') {
-      dateFilter = ' AND created_at >= NOW() - INTERVAL \'30 days\'';
-    } else if (period === 'year') {
-      dateFilter = ' AND created_at >= NOW() - INTERVAL \'365 days\'';
+    if (!name) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'scopes must be a non-empty array', valid_scopes: API_KEY_SCOPES });
+    }
+    const invalidScopes = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({ error: 'Invalid scopes', invalid_scopes: invalidScopes, valid_scopes: API_KEY_SCOPES });
+    }
+    if (expiresInDays !== undefined && expiresInDays !== null && !(parseInt(expiresInDays) > 0)) {
+      return res.status(400).json({ error: 'expires_in_days must be a positive number' });
     }
 
-    // Get all statistics in parallel for better performance
-    // Simplified queries - only get what we need for KPIs
-    let usersCount, jobsCount, clientsCount, applicationsCount, applicationsByStatus, applicationsTrend, jobsByStatus;
-    
-    try {
-      // Core KPI queries (these must work)
-      [
-        usersCount,
-        jobsCount,
-        clientsCount,
-        applicationsCount
-      ] = await Promise.all([
-        // Total Candidates (Users)
-        pool.query('SELECT COUNT(*) as count FROM users'),
-        
-        // Total Jobs
-        pool.query('SELECT COUNT(*) as count FROM jobs'),
-        
-        // Active Clients
-        pool.query('SELECT COUNT(*) as count FROM clients'),
-        
-        // Total Applications
-        pool.query(`SELECT COUNT(*) as count FROM applications WHERE 1=1 ${dateFilter}`, dateParams)
-      ]);
-
-      // Optional queries (for charts) - handle errors gracefully
-      try {
-        applicationsByStatus = await pool.query(`
-          SELECT 
-            COALESCE(status, 'Unknown') as status,
-            COUNT(*) as count
-          FROM applications
-          GROUP BY COALESCE(status, 'Unknown')
-          ORDER BY count DESC
-        `);
-      } catch (e) {
-        console.warn('Applications by status query failed (status column may not exist):', e.message);
-        applicationsByStatus = { rows: [] };
-      }
+    const { prefix, key } = generateApiKey();
+    const result = await pool.query(
+      `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by, expires_at)
+       VALUES ($1, $2, $3, $4, $5, CASE WHEN $6::int IS NULL THEN NULL ELSE NOW() + ($6::int * INTERVAL '1 day') END)
+       RETURNING id, name, key_prefix, scopes, created_by, expires_at, created_at`,
+      [name, prefix, hashToken(key), [...new Set(scopes)], req.admin.id, expiresInDays ? parseInt(expiresInDays) : null]
+    );
 
-      try {
-        applicationsTrend = await pool.query(`
-          SELECT 
-            created_at::date as date,
-            COUNT(*) as count
-          FROM applications
-          WHERE created_at >= NOW() - INTERVAL '7 days'
-          GROUP BY created_at::date
-          ORDER BY date ASC
-        `);
-      } catch (e) {
-        console.warn('Applications trend query failed:', e.message);
-        applicationsTrend = { rows: [] };
-      }
+    res.status(201).json({ api_key: result.rows[0], key });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-      try {
-        jobsByStatus = await pool.query(`
-          SELECT 
-            COALESCE(status, 'Unknown') as status,
-            COUNT(*) as count
-          FROM jobs
-          GROUP BY COALESCE(status, 'Unknown')
-          ORDER BY count DESC
-        `);
-      } catch (e) {
-        console.warn('Jobs by status query failed (status column may not exist):', e.message);
-        jobsByStatus = { rows: [] };
-      }
-    } catch (queryError) {
-      console.error('Dashboard query error:', queryError);
-      throw new Error(`Database query failed: ${queryError.message}. Table/column: ${queryError.detail || 'unknown'}`);
+// List API Keys (active by default; ?status=all includes revoked and expired)
+app.get('/api/admin/api-keys', verifyAdmin, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    let query = `
+      SELECT
+        k.id,
+        k.name,
+        k.key_prefix,
+        k.scopes,
+        k.expires_at,
+        k.last_used_at,
+        k.last_used_ip,
+        k.revoked_at,
+        k.created_at,
+        creator.email AS created_by_email,
+        CASE
+          WHEN k.revoked_at IS NOT NULL THEN 'revoked'
+          WHEN k.expires_at IS NOT NULL AND k.expires_at <= NOW() THEN 'expired'
+          ELSE 'active'
+        END AS status
+      FROM api_keys k
+      LEFT JOIN admin_users creator ON k.created_by = creator.id
+    `;
+    if (status !== 'all') {
+      query += ' WHERE k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > NOW())';
     }
+    query += ' ORDER BY k.created_at DESC';
 
-    // Format applications trend data for frontend chart
-    // Handle both date object and string formats
-    const trendData = applicationsTrend.rows.map(row => {
-      let dateStr = row.date;
-      if (row.date instanceof Date) {
-        dateStr = row.date.toISOString().split('T')[0];
-      } else if (typeof row.date === 'string') {
-        dateStr = row.date.split('T')[0];
-      }
-      return {
-        date: dateStr,
-        count: parseInt(row.count) || 0
-      };
-    });
+    const result = await pool.query(query);
+    res.json({ api_keys: result.rows, available_scopes: API_KEY_SCOPES });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Format distribution data
-    const distribution = {
-      candidates: parseInt(usersCount.rows[0].count),
-      jobs: parseInt(jobsCount.rows[0].count),
-      clients: parseInt(clientsCount.rows[0].count),
-      applications: parseInt(applicationsCount.rows[0].count)
-    };
+// Revoke API Key
+app.delete('/api/admin/api-keys/:id', verifyAdmin, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await pool.query(
+      'UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING id',
+      [id]
+    );
 
-    res.json({
-      stats: {
-        totalCandidates: parseInt(usersCount.rows[0]?.count || 0),
-        totalJobs: parseInt(jobsCount.rows[0]?.count || 0),
-        activeClients: parseInt(clientsCount.rows[0]?.count || 0),
-        totalApplications: parseInt(applicationsCount.rows[0]?.count || 0)
-      },
-      applicationsByStatus: applicationsByStatus.rows.map(row => ({
-        status: row.status || 'Unknown',
-        count: parseInt(row.count || 0)
-      })),
-      jobsByStatus: jobsByStatus.rows.map(row => ({
-        status: row.status || 'Unknown',
-        count: parseInt(row.count || 0)
-      })),
-      applicationsTrend: trendData,
-      distribution: distribution,
-      period: period || 'all'
-    });
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Active API key not found' });
+    }
+
+    res.json({ success: true, message: 'API key revoked successfully', id: parseInt(id) });
   } catch (error) {
-    console.error('Get dashboard stats error:', error);
-    res.status(500).json({ 
-      error: 'Internal server error', 
-      message: error.message,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get Dashboard Statistics (Alternative endpoint - simpler version)
-app.get('/api/admin/stats', verifyAdmin, async (req, res) => {
+// ============================================
+// SITEMAP APIs
+// ============================================
+
+// Jobs Sitemap: a single <urlset> while the open jobs fit in one page, otherwise a sitemap
+// index pointing at /sitemaps/jobs-<page>.xml
+app.get('/sitemap.xml', async (req, res) => {
   try {
-    const [
-      usersCount,
-      jobsCount,
-      clientsCount,
-      applicationsCount
-    ] = await Promise.all([
-      pool.query('SELECT COUNT(*) as count FROM users'),
-      pool.query('SELECT COUNT(*) as count FROM jobs'),
-      pool.query('SELECT COUNT(*) as count FROM clients'),
-      pool.query('SELECT COUNT(*) as count FROM applications')
-    ]);
+    const pages = await pool.query(
+      `SELECT page, MAX(updated_at) AS lastmod
+       FROM (
+         SELECT (ROW_NUMBER() OVER (ORDER BY id) - 1) / $1 + 1 AS page, updated_at
+         FROM jobs
+         WHERE status = 'Open'
+       ) numbered
+       GROUP BY page
+       ORDER BY page`,
+      [SITEMAP_PAGE_SIZE]
+    );
 
-    res.json({
-      totalCandidates: parseInt(usersCount.rows[0].count),
-      totalJobs: parseInt(jobsCount.rows[0].count),
-      activeClients: parseInt(clientsCount.rows[0].count),
-      totalApplications: parseInt(applicationsCount.rows[0].count)
-    });
+    if (pages.rows.length <= 1) {
+      return sendJobsSitemapPage(res, 1);
+    }
+
+    // Sitemaps may only list URLs on their own host, so the index uses the same base as the job pages
+    const xml = xmlDocument(
+      '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n' +
+      pages.rows
+        .map(
+          (row) =>
+            '  <sitemap>\n' +
+            xmlTag('loc', `${APP_BASE_URL}/sitemaps/jobs-${row.page}.xml`, '    ') +
+            xmlTag('lastmod', row.lastmod ? new Date(row.lastmod).toISOString() : null, '    ') +
+            '  </sitemap>\n'
+        )
+        .join('') +
+      '</sitemapindex>\n'
+    );
+
+    res.set('Content-Type', 'application/xml');
+    res.send(xml);
   } catch (error) {
-    console.error('Get stats error:', error);
+    console.error('Sitemap error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// One page of the jobs sitemap
+app.get('/sitemaps/jobs-:page.xml', async (req, res) => {
+  try {
+    const page = parseInt(req.params.page);
+    if (!(page >= 1)) {
+      return res.status(404).json({ error: 'Sitemap page not found' });
+    }
+    await sendJobsSitemapPage(res, page);
+  } catch (error) {
+    console.error('Sitemap page error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+async function sendJobsSitemapPage(res, page) {
+  const result = await pool.query(
+    `SELECT id, updated_at FROM jobs
+     WHERE status = 'Open'
+     ORDER BY id
+     LIMIT $1 OFFSET $2`,
+    [SITEMAP_PAGE_SIZE, (page - 1) * SITEMAP_PAGE_SIZE]
+  );
+  // Page 1 always exists (an empty urlset is valid), later pages only when they have jobs
+  if (result.rows.length === 0 && page > 1) {
+    return res.status(404).json({ error: 'Sitemap page not found' });
+  }
+
+  const xml = xmlDocument(
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n' +
+    result.rows
+      .map(
+        (job) =>
+          '  <url>\n' +
+          xmlTag('loc', jobPageUrl(job), '    ') +
+          xmlTag('lastmod', job.updated_at ? new Date(job.updated_at).toISOString() : null, '    ') +
+          '  </url>\n'
+      )
+      .join('') +
+    '</urlset>\n'
+  );
+
+  res.set('Content-Type', 'application/xml');
+  res.send(xml);
+}
+
 // ============================================
 // Health Check
 // ============================================
@@ -2666,6 +8028,7 @@ app.get('/health', async (req, res) => {
 app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/health`);
+  startJobScheduler();
 });
 
 module.exports = app;